@@ -2,20 +2,13 @@
 set -euo pipefail
 
 CRON_EXPRESSION=${CRON_EXPRESSION:-}
+CRON_TZ=${CRON_TZ:-UTC}
+HEALTH_PORT=${HEALTH_PORT:-8080}
 
 if [[ -n "$CRON_EXPRESSION" ]]; then
-  if ! command -v supercronic >/dev/null 2>&1; then
-    echo "supercronic not installed; cannot use CRON_EXPRESSION" >&2
-    exit 1
-  fi
-  echo "Running initial sync before scheduling …"
-  /app/docker/run-sync.sh
-  echo "Initial sync finished. Scheduling future runs."
-  cat <<EOC >/tmp/cronfile
-$CRON_EXPRESSION /bin/bash -lc "/app/docker/run-sync.sh"
-EOC
-  echo "Starting supercronic with schedule: $CRON_EXPRESSION"
-  exec supercronic /tmp/cronfile
+  # The daemon syncs once at startup, then on every slot of the schedule (evaluated in CRON_TZ).
+  echo "Starting daemon with schedule: $CRON_EXPRESSION ($CRON_TZ)"
+  exec /app/docker/run-sync.sh daemon --schedule "$CRON_EXPRESSION" --tz "$CRON_TZ" --listen "$HEALTH_PORT"
 fi
 
 exec /app/docker/run-sync.sh
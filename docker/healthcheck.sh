@@ -0,0 +1,9 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# One-shot containers have nothing to probe; the daemon reports its last run on /healthz.
+if [[ -z "${CRON_EXPRESSION:-}" ]]; then
+  exit 0
+fi
+
+exec curl -fsS -o /dev/null "http://127.0.0.1:${HEALTH_PORT:-8080}/healthz"
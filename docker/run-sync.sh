@@ -1,18 +1,33 @@
 #!/usr/bin/env bash
 set -euo pipefail
 
-: "${LG_USER:?LG_USER env var required}"
-: "${LG_PASS:?LG_PASS env var required}"
+# With profiles (LG_PROFILE or --profile/--all-profiles in SYNC_ARGS) credentials come from the config file.
+if [[ -z "${LG_PROFILE:-}" && ! "${SYNC_ARGS:-}" =~ --(all-)?profile ]]; then
+  : "${LG_USER:?LG_USER env var required}"
+  if [[ -z "${LG_PASS:-}" && -z "${LG_PASS_FILE:-}" && -z "${LG_PASS_COMMAND:-}" ]]; then
+    echo "LG_PASS, LG_PASS_FILE or LG_PASS_COMMAND env var required" >&2
+    exit 1
+  fi
+fi
 
-AUTH_PATH=${AUTH_PATH:-/data/auth.storage.json}
-OUTFILE=${OUTFILE:-/tmp/input.json}
-OUTDIR=${OUTDIR:-/data}
+# lg.mjs reads these as its defaults, so profile settings can still override them.
+export AUTH_PATH=${AUTH_PATH:-/data/auth.storage.json}
+export OUTFILE=${OUTFILE:-/tmp/input.json}
+export OUTDIR=${OUTDIR:-/data}
 SYNC_ARGS=${SYNC_ARGS:-}
 
 mkdir -p "$(dirname "$AUTH_PATH")"
 mkdir -p "$OUTDIR"
 
-CMD=(node /app/lg.mjs sync --auth "$AUTH_PATH" --outfile "$OUTFILE" --outdir "$OUTDIR")
+# Optional first argument picks the command (sync by default, daemon from the entrypoint);
+# any further arguments are passed through unchanged.
+COMMAND=sync
+if [[ $# -gt 0 ]]; then
+  COMMAND=$1
+  shift
+fi
+
+CMD=(node /app/lg.mjs "$COMMAND" "$@")
 if [[ -n "${SYNC_ARGS}" ]]; then
   # shellcheck disable=SC2206
   EXTRA_ARGS=($SYNC_ARGS)
@@ -0,0 +1,107 @@
+/**
+ * Saved login state (Playwright storageState + captured `__extraHTTPHeaders`), optionally
+ * encrypted at rest with AES-256-GCM. The key is derived with scrypt from a passphrase
+ * (LG_AUTH_PASSPHRASE / LG_AUTH_PASSPHRASE_FILE) or a key file (--auth-key-file /
+ * LG_AUTH_KEY_FILE). Plaintext files still load, and are encrypted on the next save.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const FORMAT = "lg-auth-encrypted";
+const VERSION = 1;
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+
+export class AuthStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AuthStateError";
+  }
+}
+
+function readSecretFile(file, label) {
+  try {
+    return fs.readFileSync(file);
+  } catch (err) {
+    throw new AuthStateError(`Cannot read ${label} ${file}: ${err?.code || err?.message || err}`);
+  }
+}
+
+/**
+ * Secret material for encrypting the auth state, or null when encryption is not configured.
+ * Returns { secret: Buffer, source }.
+ */
+export function resolveAuthSecret({ keyFile, env = process.env } = {}) {
+  const file = keyFile ?? env.LG_AUTH_KEY_FILE;
+  if (file) return { secret: readSecretFile(file, "auth key file"), source: "key file" };
+  if (env.LG_AUTH_PASSPHRASE_FILE) {
+    const text = readSecretFile(env.LG_AUTH_PASSPHRASE_FILE, "passphrase file").toString("utf8").replace(/\r?\n$/, "");
+    return { secret: Buffer.from(text, "utf8"), source: "passphrase" };
+  }
+  if (env.LG_AUTH_PASSPHRASE) return { secret: Buffer.from(env.LG_AUTH_PASSPHRASE, "utf8"), source: "passphrase" };
+  return null;
+}
+
+function deriveKey(secret, salt, params = SCRYPT) {
+  if (!secret?.length) throw new AuthStateError("Empty auth passphrase/key.");
+  return crypto.scryptSync(secret, salt, 32, { ...params, maxmem: 64 * 1024 * 1024 });
+}
+
+export function isEncryptedAuthState(data) {
+  return data?.format === FORMAT;
+}
+
+export function encryptAuthState(payload, secret) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(secret, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), "utf8"), cipher.final()]);
+  return {
+    format: FORMAT,
+    version: VERSION,
+    cipher: "aes-256-gcm",
+    kdf: { name: "scrypt", ...SCRYPT, salt: salt.toString("base64") },
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64")
+  };
+}
+
+export function decryptAuthState(envelope, secret) {
+  if (!secret) {
+    throw new AuthStateError("Auth state is encrypted; set LG_AUTH_PASSPHRASE, LG_AUTH_PASSPHRASE_FILE or LG_AUTH_KEY_FILE (or --auth-key-file).");
+  }
+  try {
+    const { N, r, p, salt } = envelope.kdf;
+    const key = deriveKey(secret, Buffer.from(salt, "base64"), { N, r, p });
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(envelope.iv, "base64"));
+    decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+    const text = Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]).toString("utf8");
+    return JSON.parse(text);
+  } catch (err) {
+    if (err instanceof AuthStateError) throw err;
+    throw new AuthStateError("Cannot decrypt auth state: wrong passphrase/key or corrupted file.");
+  }
+}
+
+/** Parsed auth state from `file`, decrypting when needed. `encrypted` tells how it was stored. */
+export function readAuthState(file, secret) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new AuthStateError(`Cannot read auth state ${file}: ${err?.code === "ENOENT" ? "not found" : (err?.message || err)}`);
+  }
+  if (isEncryptedAuthState(data)) return { state: decryptAuthState(data, secret), encrypted: true };
+  return { state: data, encrypted: false };
+}
+
+/** Save `payload` atomically and owner-only; encrypted when `secret` is given. */
+export function writeAuthState(file, payload, secret) {
+  const body = secret ? encryptAuthState(payload, secret) : payload;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(body, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
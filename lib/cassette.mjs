@@ -0,0 +1,182 @@
+/**
+ * HTTP cassettes for `--record <dir>` / `--replay <dir>`. Recording saves every API
+ * response (Notes pages, Enrollments) as `<dir>/0001-GET-Notes.json`, … plus the session
+ * headers in `<dir>/session.json`. Replaying serves them back in the same order without a
+ * browser or network, so a sync can be reproduced from a bug report or a fixture.
+ *
+ * Cassettes never contain cookies. The account ids sent as headers (X-UID, X-Center-Id)
+ * are replaced by placeholders wherever they appear, and JSON fields that look like
+ * credentials (token, password, secret, …) are blanked.
+ */
+
+import fs from "fs";
+import path from "path";
+import { readJsonFile, writeJsonAtomic } from "./fs-utils.mjs";
+
+const VERSION = 1;
+const SESSION_FILE = "session.json";
+const ENTRY_FILE = /^(\d+)-[A-Z]+-[\w.-]*\.json$/;
+const REDACTED = "[redacted]";
+const SECRET_HEADERS = { "x-uid": "REDACTED-UID", "x-center-id": "REDACTED-CENTER" };
+const SECRET_KEY = /token|secret|passw|cookie|authorization|api_?key|session_?id/i;
+
+export class CassetteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CassetteError";
+  }
+}
+
+/** URL with `before_time` removed: the first page's cursor depends on the day it was recorded. */
+function withoutCursor(url) {
+  const u = new URL(url);
+  u.searchParams.delete("before_time");
+  return u.toString();
+}
+
+function listEntryFiles(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+  return names.filter(name => ENTRY_FILE.test(name)).sort();
+}
+
+function createRedactor(headers) {
+  const replacements = [];
+  for (const [name, placeholder] of Object.entries(SECRET_HEADERS)) {
+    const value = headers?.[name];
+    // "null" is what buildApiHeaders sends when there is no center id.
+    if (value && value !== "null") replacements.push([value, placeholder]);
+  }
+  const text = (value) => replacements.reduce((out, [secret, placeholder]) => out.split(secret).join(placeholder), value);
+  const json = (value, key = "") => {
+    if (SECRET_KEY.test(key) && value != null && typeof value !== "object") return REDACTED;
+    if (typeof value === "string") return text(value);
+    if (Array.isArray(value)) return value.map(item => json(item));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, json(v, k)]));
+    }
+    return value;
+  };
+  return { text, json };
+}
+
+/**
+ * Recorder for `dir`. `wrap(request, headers, { timeZone })` returns a request context
+ * whose `get()` saves each response; numbering continues after any entries already in `dir`.
+ */
+export function createRecorder(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const last = listEntryFiles(dir).at(-1);
+  let seq = last ? Number(last.match(ENTRY_FILE)[1]) : 0;
+
+  return {
+    dir,
+    wrap(request, headers, { timeZone = null } = {}) {
+      const redact = createRedactor(headers);
+      const savedHeaders = {};
+      for (const [name, value] of Object.entries(headers ?? {})) {
+        savedHeaders[name] = SECRET_HEADERS[name] && value !== "null" ? SECRET_HEADERS[name] : value;
+      }
+      writeJsonAtomic(path.join(dir, SESSION_FILE), {
+        version: VERSION,
+        recordedAt: new Date().toISOString(),
+        headers: savedHeaders,
+        timeZone
+      });
+
+      return {
+        async get(url, options) {
+          const resp = await request.get(url, options);
+          const text = await resp.text().catch(() => "");
+          const { "content-type": contentType = null, "retry-after": retryAfter = null } = resp.headers();
+          let body = redact.text(text);
+          let bodyFormat = "text";
+          try {
+            body = redact.json(JSON.parse(text));
+            bodyFormat = "json";
+          } catch {}
+          seq += 1;
+          const name = new URL(url).pathname.split("/").filter(Boolean).at(-1) ?? "root";
+          const file = path.join(dir, `${String(seq).padStart(4, "0")}-GET-${name.replace(/[^\w.-]+/g, "_")}.json`);
+          writeJsonAtomic(file, {
+            version: VERSION,
+            recordedAt: new Date().toISOString(),
+            method: "GET",
+            url: redact.text(url),
+            status: resp.status(),
+            statusText: resp.statusText(),
+            contentType,
+            retryAfter,
+            bodyFormat,
+            body
+          });
+          return resp;
+        },
+        dispose: () => request.dispose()
+      };
+    }
+  };
+}
+
+function replayResponse(entry) {
+  const text = entry.bodyFormat === "json" ? JSON.stringify(entry.body) : String(entry.body ?? "");
+  return {
+    status: () => entry.status,
+    statusText: () => entry.statusText ?? "",
+    ok: () => entry.status >= 200 && entry.status < 300,
+    headers: () => ({
+      ...(entry.contentType ? { "content-type": entry.contentType } : {}),
+      ...(entry.retryAfter ? { "retry-after": entry.retryAfter } : {})
+    }),
+    text: async () => text,
+    json: async () => JSON.parse(text)
+  };
+}
+
+/**
+ * Replay of the cassette in `dir`: `headers` and `timeZone` as recorded and a `request` stand-in whose
+ * `get(url)` answers with the next unused response for that URL. A URL that differs only
+ * in `before_time` takes the next response recorded for the same query, and once a URL's
+ * responses are used up its last one is repeated. Throws a CassetteError otherwise.
+ */
+export function openReplay(dir) {
+  const session = readJsonFile(path.join(dir, SESSION_FILE), null);
+  if (session?.version !== VERSION || !session.headers) {
+    throw new CassetteError(`No cassette found in ${dir} (missing or unreadable ${SESSION_FILE}); record one with --record ${dir}.`);
+  }
+  const entries = listEntryFiles(dir).map(name => {
+    const entry = readJsonFile(path.join(dir, name), null);
+    if (entry?.version !== VERSION || typeof entry.url !== "string") {
+      throw new CassetteError(`Unreadable cassette entry ${path.join(dir, name)}.`);
+    }
+    return { ...entry, file: name, loose: withoutCursor(entry.url), used: false };
+  });
+
+  function take(url) {
+    const loose = withoutCursor(url);
+    const entry = entries.find(e => !e.used && e.url === url)
+      ?? entries.find(e => !e.used && e.loose === loose)
+      ?? entries.findLast(e => e.url === url);
+    if (!entry) {
+      throw new CassetteError(`No recorded response for GET ${url} in ${dir}; replay with the options the cassette was recorded with.`);
+    }
+    entry.used = true;
+    return entry;
+  }
+
+  return {
+    dir,
+    headers: session.headers,
+    timeZone: session.timeZone ?? null,
+    request: {
+      async get(url) {
+        return replayResponse(take(url));
+      },
+      async dispose() {}
+    }
+  };
+}
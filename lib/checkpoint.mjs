@@ -0,0 +1,130 @@
+/**
+ * Backfill checkpoints for `sync --resume`. While a note category is paged, every page's
+ * notes are appended to an NDJSON file and the next `before_time` cursor is saved, both
+ * under `<state>.checkpoint/`. An interrupted run can then continue from that cursor
+ * instead of re-fetching from the newest page. A child's entries are dropped once its
+ * watermarks have been saved, except those `--max-pages` stopped early: the next run
+ * continues them even without --resume.
+ */
+
+import fs from "fs";
+import path from "path";
+import { readJsonFile, writeFileAtomic, writeJsonAtomic } from "./fs-utils.mjs";
+
+const INDEX_FILE = "progress.json";
+const VERSION = 1;
+
+function fileSafe(value) {
+  return String(value).replace(/[^\w.-]+/g, "_");
+}
+
+function readItems(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch {
+    return [];
+  }
+  const items = [];
+  let torn = false;
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      items.push(JSON.parse(line));
+    } catch {
+      torn = true;
+    }
+  }
+  // A crash mid-append can leave a torn last line: drop it so later pages append cleanly.
+  // Its cursor was never saved, so that page is simply fetched again.
+  if (torn) writeFileAtomic(file, items.map(item => JSON.stringify(item) + "\n").join(""));
+  return items;
+}
+
+/** Checkpoints stored next to `statePath`. Every change is written through atomically. */
+export function openCheckpoints(statePath) {
+  const dir = `${statePath}.checkpoint`;
+  const indexFile = path.join(dir, INDEX_FILE);
+  const saved = readJsonFile(indexFile, null);
+  const entries = saved?.version === VERSION && saved.entries && typeof saved.entries === "object" ? saved.entries : {};
+  const keyOf = (enrollmentId, noteCategory) => `${enrollmentId}/${noteCategory}`;
+  const itemsFile = (entry) => path.join(dir, entry.itemsFile);
+
+  function save() {
+    if (Object.keys(entries).length) {
+      writeJsonAtomic(indexFile, { version: VERSION, entries });
+    } else {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  return {
+    dir,
+    find(enrollmentId, noteCategory) {
+      return entries[keyOf(enrollmentId, noteCategory)] ?? null;
+    },
+    /** Start a fresh fetch for this range, discarding any earlier progress. */
+    begin(enrollmentId, noteCategory, { start, end }) {
+      const entry = {
+        enrollmentId,
+        noteCategory,
+        start: start?.toISOString() ?? null,
+        end: end?.toISOString() ?? null,
+        beforeTime: null,
+        pages: 0,
+        complete: false,
+        itemsFile: `${fileSafe(enrollmentId)}--${fileSafe(noteCategory)}.ndjson`,
+        updatedAt: new Date().toISOString()
+      };
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(itemsFile(entry), "");
+      entries[keyOf(enrollmentId, noteCategory)] = entry;
+      save();
+      return entry;
+    },
+    /** True when `entry` was saved for the same start/end range. */
+    matches(entry, { start, end }) {
+      return entry.start === (start?.toISOString() ?? null) && entry.end === (end?.toISOString() ?? null);
+    },
+    loadItems(entry) {
+      return readItems(itemsFile(entry));
+    },
+    /** Append a page's notes, then move the cursor; `nextBefore` is null on the last page. */
+    recordPage(entry, { items, nextBefore }) {
+      if (items.length) {
+        fs.appendFileSync(itemsFile(entry), items.map(item => JSON.stringify(item)).join("\n") + "\n");
+      }
+      entry.pages += 1;
+      entry.beforeTime = nextBefore;
+      entry.complete = !nextBefore;
+      entry.updatedAt = new Date().toISOString();
+      save();
+    },
+    /** Leave `entry` open because a page cap stopped it; the next run continues it. */
+    hold(entry) {
+      entry.capped = true;
+      entry.updatedAt = new Date().toISOString();
+      save();
+    },
+    finish(entry) {
+      if (entry.complete) return;
+      entry.complete = true;
+      entry.updatedAt = new Date().toISOString();
+      save();
+    },
+    /**
+     * Drop every complete entry of `enrollmentId` (after its watermarks are safely saved).
+     * Entries a page cap left open stay for the next run.
+     */
+    clear(enrollmentId) {
+      let changed = false;
+      for (const [key, entry] of Object.entries(entries)) {
+        if (entry.enrollmentId !== enrollmentId || !entry.complete) continue;
+        fs.rmSync(itemsFile(entry), { force: true });
+        delete entries[key];
+        changed = true;
+      }
+      if (changed) save();
+    }
+  };
+}
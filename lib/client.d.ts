@@ -0,0 +1,175 @@
+// Type declarations for the programmatic client (lib/client.mjs).
+
+/// <reference types="node" />
+
+export declare const DEFAULT_COUNT: number;
+export declare const DEFAULT_RATE: number;
+export declare const DEFAULT_BURST: number;
+export declare const DEFAULT_MAX_PAGES: number;
+export declare const DEFAULT_NOTE_CATEGORY: string;
+
+/** A Learning Genie note as returned by the Notes API; fields vary by note type. */
+export interface Note {
+  id?: string;
+  create_at?: string;
+  update_at?: string;
+  payload?: string;
+  media?: unknown[];
+  [key: string]: unknown;
+}
+
+/** A parent's enrollment (child) as returned by the Enrollments API. */
+export interface Enrollment {
+  id?: string;
+  enrollment_id?: string;
+  display_name?: string;
+  first_name?: string;
+  last_name?: string;
+  [key: string]: unknown;
+}
+
+export interface Credentials {
+  username: string;
+  password: string;
+}
+
+/** A lazily resolved credential source, e.g. one reading LG_PASS_FILE or LG_PASS_COMMAND. */
+export interface CredentialSource {
+  readonly configured: boolean;
+  resolve(): Promise<Credentials>;
+}
+
+/** Secret that encrypts the saved auth state at rest. */
+export interface AuthSecret {
+  secret: Buffer;
+  /** "key file" or "passphrase". */
+  source: string;
+}
+
+export interface LearningGenieClientOptions {
+  /** Saved auth state (cookies, storage, captured API headers). Default "auth.storage.json". */
+  authPath?: string;
+  /** Secret encrypting the auth state; null stores it in plain text. Defaults to LG_AUTH_KEY_FILE / LG_AUTH_PASSPHRASE*. */
+  authSecret?: AuthSecret | null;
+  /** File holding the auth state key, when `authSecret` is not given. */
+  authKeyFile?: string;
+  /** Used to log in when the saved state is missing or expired. Defaults to LG_USER / LG_PASS* env vars. */
+  credentials?: Credentials | CredentialSource;
+  /** Run the login browser headless. Default true. */
+  headless?: boolean;
+  /** Only read the auth state: never log in or rewrite it; a needed login throws LoginRequiredError. */
+  readOnly?: boolean;
+  /** Save every API response (secrets redacted) as cassette files in this directory. */
+  record?: string;
+  /** Answer API requests from the cassette in this directory: no network, browser or auth state. */
+  replay?: string;
+  /** API requests per second, shared by everything this client fetches. Default DEFAULT_RATE. */
+  rate?: number;
+  /** Requests allowed back to back before `rate` applies. Default DEFAULT_BURST. */
+  burst?: number;
+}
+
+export interface PageOptions {
+  /** Notes per request. Default DEFAULT_COUNT. */
+  pageSize?: number;
+  videoBook?: boolean;
+  /** Extra query string merged into each Notes request. */
+  rawParams?: string;
+  /** Safety cap on requests per category and call (a resumed walk fetches up to this many more). Default DEFAULT_MAX_PAGES. */
+  maxPages?: number;
+  /** Extra pause between pages in ms, on top of the client's rate limit. Default 0. */
+  delayMs?: number;
+  /**
+   * IANA zone of the enrollment, e.g. "America/Los_Angeles". Date strings, note times and
+   * cursors are read in it with the offset in effect on each date. Default: the account's
+   * zone, else the host's.
+   */
+  timeZone?: string;
+}
+
+export interface NotePagesOptions extends PageOptions {
+  enrollmentId: string;
+  /** Note category, e.g. "report" (default) or "Activity". */
+  category?: string;
+  /** Oldest note to include: a Date or ISO date/time string. */
+  since?: Date | string;
+  /** Last day to include (through its end): a Date or ISO date string. */
+  until?: Date | string;
+  /** A saved cursor to continue from; `items` already seen are not yielded again. */
+  resumeFrom?: { beforeTime: string | null; pages?: number; items?: Note[] };
+}
+
+export interface NotesOptions extends PageOptions {
+  enrollmentId: string;
+  since?: Date | string;
+  until?: Date | string;
+  /** Note categories to read, in order. Default [DEFAULT_NOTE_CATEGORY]. */
+  categories?: string[];
+}
+
+export interface NotePage {
+  /** 1-based page number, counting pages skipped by `resumeFrom`. */
+  page: number;
+  /** The page's notes inside the range that no earlier page returned. */
+  items: Note[];
+  /** Cursor for the next page; null on the last one. */
+  nextBefore: string | null;
+}
+
+export interface ApiSession {
+  readonly request: unknown;
+  readonly headers: Record<string, string>;
+  readonly timeZone: string | null;
+  call<T>(fn: (request: unknown) => Promise<T>): Promise<T>;
+  dispose(): Promise<void>;
+}
+
+export declare class LearningGenieClient {
+  constructor(options?: LearningGenieClientOptions);
+  readonly authPath: string;
+  readonly authSecret: AuthSecret | null;
+  readonly credentials: CredentialSource;
+  readonly headless: boolean;
+  readonly readOnly: boolean;
+  /** Headers sent with API requests, once the session is open. */
+  readonly headers: Record<string, string> | null;
+  /** The account's IANA timezone once the session is open, or null if unknown. */
+  readonly timeZone: string | null;
+
+  /** Log in with the browser now and save the auth state. */
+  login(): Promise<void>;
+  /** Check the saved auth state and log in if it is missing or rejected. */
+  ensureAuth(options?: { enrollmentId?: string }): Promise<void>;
+  /** Open the API session (also done on first use). */
+  open(): Promise<ApiSession>;
+  listEnrollments(): Promise<Enrollment[]>;
+  notePages(options: NotePagesOptions): AsyncGenerator<NotePage, void, undefined>;
+  /** Notes newest first per category, each yielded once. */
+  notes(options: NotesOptions): AsyncGenerator<Note, void, undefined>;
+  close(): Promise<void>;
+}
+
+export declare class AuthExpiredError extends Error {
+  readonly url: string;
+  readonly status: number;
+}
+
+export declare class LoginRequiredError extends Error {}
+
+export declare class AuthStateError extends Error {}
+
+export declare class CredentialsError extends Error {}
+
+export declare class CassetteError extends Error {}
+
+export declare function configureLogging(options?: {
+  level?: "error" | "warn" | "info" | "debug";
+  quiet?: boolean;
+  format?: "text" | "json";
+  file?: string | null;
+  maxBytes?: number;
+  maxFiles?: number;
+  /** Write info/debug lines to stderr too, keeping stdout for your own output. */
+  stderrOnly?: boolean;
+  context?: Record<string, unknown>;
+}): void;
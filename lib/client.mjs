@@ -0,0 +1,204 @@
+/**
+ * Programmatic Learning Genie client: the login, header capture and pagination the CLI
+ * uses, for your own Node scripts.
+ *
+ *   import { LearningGenieClient } from "learning-genie-sync";
+ *
+ *   const client = new LearningGenieClient({ authPath: "./auth.storage.json" });
+ *   try {
+ *     for (const enrollment of await client.listEnrollments()) {
+ *       for await (const note of client.notes({ enrollmentId: enrollment.id, since: "2025-09-01" })) {
+ *         console.log(note.create_at, note.payload);
+ *       }
+ *     }
+ *   } finally {
+ *     await client.close();
+ *   }
+ *
+ * The saved auth state is reused, and refreshed with a headless browser login when it is
+ * missing or rejected (also mid-run). Credentials default to the LG_USER / LG_PASS* env vars.
+ * `record: dir` saves every API response as a cassette; `replay: dir` answers from one
+ * instead of the network, with no auth state or browser. All requests of one client share
+ * a rate limit (`rate` per second, bursts of `burst`), so iterating several enrollments at
+ * once stays polite. Date strings, note times and cursors are read in the account's
+ * timezone unless a call passes `timeZone`.
+ */
+
+import { deriveStableId } from "./notes.mjs";
+import { hostTimeZone, parseInZone } from "./time.mjs";
+import { resolveAuthSecret } from "./auth-store.mjs";
+import { createCredentialSource } from "./credentials.mjs";
+import { CassetteError, createRecorder, openReplay } from "./cassette.mjs";
+import { createRateLimiter } from "./rate-limit.mjs";
+import {
+  DEFAULT_NOTE_CATEGORY,
+  ensureAuthValid,
+  fetchParentEnrollments,
+  iterateNotePages,
+  loginAndSaveState,
+  openAuthSession,
+  openReplaySession
+} from "./api.mjs";
+
+export { DEFAULT_COUNT, DEFAULT_MAX_PAGES, DEFAULT_NOTE_CATEGORY } from "./api.mjs";
+export { DEFAULT_BURST, DEFAULT_RATE } from "./rate-limit.mjs";
+export { AuthExpiredError, LoginRequiredError } from "./session.mjs";
+export { AuthStateError } from "./auth-store.mjs";
+export { CredentialsError } from "./credentials.mjs";
+export { CassetteError } from "./cassette.mjs";
+export { configureLogging } from "./log.mjs";
+
+/** `{ username, password }`, a credential source, or undefined for the env vars. */
+function toCredentialSource(credentials) {
+  if (typeof credentials?.resolve === "function") return credentials;
+  if (credentials) return createCredentialSource({ user: credentials.username, password: credentials.password });
+  return createCredentialSource();
+}
+
+function toDate(value, name, timeZone) {
+  if (value == null) return undefined;
+  const date = value instanceof Date ? value : parseInZone(value, timeZone);
+  if (!date || Number.isNaN(date.getTime())) throw new TypeError(`Invalid ${name}: ${value}`);
+  return date;
+}
+
+export class LearningGenieClient {
+  #session = null;
+  #opening = null;
+  #authChecked = false;
+
+  constructor({ authPath = "auth.storage.json", authSecret, authKeyFile, credentials, headless = true, readOnly = false, record, replay, rate, burst } = {}) {
+    if (record && replay) throw new TypeError("record and replay cannot be combined");
+    this.recorder = record ? createRecorder(record) : null;
+    this.replay = replay ? openReplay(replay) : null;
+    // Nobody to be polite to when answering from a cassette.
+    this.limiter = this.replay ? null : createRateLimiter({ rate, burst });
+    this.authPath = authPath;
+    // null disables encryption; by default LG_AUTH_* env vars apply, as on the CLI.
+    this.authSecret = authSecret !== undefined ? authSecret : resolveAuthSecret({ keyFile: authKeyFile });
+    this.credentials = toCredentialSource(credentials);
+    this.headless = headless;
+    // Dry runs: the saved state is only read, and a needed login is an error instead.
+    this.readOnly = readOnly;
+  }
+
+  /** Log in with the browser now and save the auth state, whether or not it is still valid. */
+  async login() {
+    if (this.replay) throw new CassetteError("Logging in needs the network; it is not available while replaying a cassette.");
+    const { username, password } = await this.credentials.resolve();
+    await loginAndSaveState({ username, password, authPath: this.authPath, authSecret: this.authSecret, headless: this.headless });
+    this.#authChecked = true;
+  }
+
+  /**
+   * Probe the saved auth state with one cheap request (a Notes page of `enrollmentId` when
+   * given) and log in if it is missing or rejected.
+   */
+  async ensureAuth({ enrollmentId } = {}) {
+    if (this.replay) {
+      this.#authChecked = true;
+      return;
+    }
+    await ensureAuthValid({
+      authPath: this.authPath,
+      authSecret: this.authSecret,
+      headless: this.headless,
+      credentials: this.credentials,
+      enrollmentId,
+      readOnly: this.readOnly
+    });
+    this.#authChecked = true;
+  }
+
+  /** The API session ({ request, headers, call(fn) }), opened on first use. */
+  async open() {
+    if (this.#session) return this.#session;
+    this.#opening ??= (async () => {
+      if (!this.#authChecked) await this.ensureAuth();
+      this.#session = this.replay
+        ? await openReplaySession(this.replay)
+        : await openAuthSession({
+          authPath: this.authPath,
+          authSecret: this.authSecret,
+          credentials: this.credentials,
+          headless: this.headless,
+          recorder: this.recorder,
+          readOnly: this.readOnly
+        });
+      return this.#session;
+    })().finally(() => {
+      this.#opening = null;
+    });
+    return this.#opening;
+  }
+
+  /** Headers sent with API requests (X-UID, timezone offset, …), once the session is open. */
+  get headers() {
+    return this.#session?.headers ?? null;
+  }
+
+  /** The account's IANA timezone once the session is open, or null when the auth state has none. */
+  get timeZone() {
+    return this.#session?.timeZone ?? null;
+  }
+
+  /** Enrollments (children) of the logged-in parent, as returned by the API. */
+  async listEnrollments() {
+    const session = await this.open();
+    return session.call(request => fetchParentEnrollments({ request, headers: session.headers, limiter: this.limiter }));
+  }
+
+  /**
+   * Pages of one note category, newest first: { page, items, nextBefore }, each note once.
+   * Pass a saved `nextBefore` back as `resumeFrom: { beforeTime, pages, items? }` to
+   * continue later. `timeZone` (IANA) is the enrollment's zone; default: the account's, else
+   * the host's.
+   */
+  async *notePages({ enrollmentId, category = DEFAULT_NOTE_CATEGORY, since, until, pageSize, videoBook, rawParams, maxPages, delayMs, resumeFrom, timeZone }) {
+    if (!enrollmentId) throw new TypeError("notePages() needs an enrollmentId");
+    const session = await this.open();
+    const zone = timeZone ?? session.timeZone ?? hostTimeZone();
+    yield* iterateNotePages({
+      session,
+      enrollmentId,
+      startDate: toDate(since, "since", zone),
+      endDate: toDate(until, "until", zone),
+      pageSize,
+      noteCategory: category,
+      videoBook,
+      rawParams,
+      maxPages,
+      limiter: this.limiter,
+      delayMs: this.replay ? 0 : delayMs,
+      resumeFrom,
+      timeZone: zone
+    });
+  }
+
+  /**
+   * Notes of `enrollmentId` from `since` (inclusive) through the end of day `until`, newest
+   * first per category. Notes appearing in several categories or on overlapping pages are
+   * yielded once.
+   */
+  async *notes({ enrollmentId, since, until, categories = [DEFAULT_NOTE_CATEGORY], ...options }) {
+    const seen = new Set();
+    for (const category of categories) {
+      for await (const { items } of this.notePages({ ...options, enrollmentId, category, since, until })) {
+        for (const note of items) {
+          const id = deriveStableId(note);
+          if (seen.has(id)) continue;
+          seen.add(id);
+          yield note;
+        }
+      }
+    }
+  }
+
+  /** Dispose the API session. The client can be opened again afterwards. */
+  async close() {
+    await this.#opening?.catch(() => {});
+    const session = this.#session;
+    this.#session = null;
+    await session?.dispose();
+  }
+}
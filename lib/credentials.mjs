@@ -0,0 +1,134 @@
+/**
+ * Where the Learning Genie login comes from. A source is resolved lazily — only when a
+ * browser login is actually needed — and at most once per process, so a password
+ * manager command or prompt is not hit on every sync.
+ *
+ * Username:  user | userEnv | LG_USER | prompt
+ * Password:  password | passwordFile | passwordCommand | passwordEnv
+ *            | LG_PASS | LG_PASS_FILE (e.g. a Docker secret) | LG_PASS_COMMAND (e.g. `pass show lg`) | prompt
+ * Profiles skip the LG_USER / LG_PASS* fallbacks, so one account never logs in as another.
+ */
+
+import fs from "fs";
+import readline from "readline";
+import { exec as _exec } from "child_process";
+import { promisify } from "util";
+
+const exec = promisify(_exec);
+const COMMAND_TIMEOUT_MS = 60000;
+
+export const CREDENTIAL_KEYS = ["user", "userEnv", "passwordFile", "passwordCommand", "passwordEnv"];
+
+export class CredentialsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CredentialsError";
+  }
+}
+
+function usernameSource(spec, env, globalEnv) {
+  if (spec.user) return { label: "configured user", read: async () => spec.user };
+  if (spec.userEnv) return env[spec.userEnv] ? { label: spec.userEnv, read: async () => env[spec.userEnv] } : null;
+  if (!globalEnv) return null;
+  if (env.LG_USER) return { label: "LG_USER", read: async () => env.LG_USER };
+  return null;
+}
+
+function fileSource(label, file) {
+  return {
+    label,
+    read: async () => {
+      try {
+        return fs.readFileSync(file, "utf8").replace(/\r?\n$/, "");
+      } catch (err) {
+        throw new CredentialsError(`Cannot read password file ${file}: ${err?.code || err?.message || err}`);
+      }
+    }
+  };
+}
+
+function commandSource(label, command) {
+  return {
+    label,
+    read: async () => {
+      try {
+        const { stdout } = await exec(command, { timeout: COMMAND_TIMEOUT_MS, windowsHide: true });
+        // `pass show` and friends put the secret on the first line.
+        return stdout.split(/\r?\n/)[0];
+      } catch (err) {
+        const detail = String(err?.stderr || err?.message || err).trim().split("\n")[0].slice(0, 200);
+        throw new CredentialsError(`Password command failed (${label}): ${detail}`);
+      }
+    }
+  };
+}
+
+function passwordSource(spec, env, globalEnv) {
+  if (spec.password) return { label: "--password", read: async () => spec.password };
+  if (spec.passwordFile) return fileSource(`file ${spec.passwordFile}`, spec.passwordFile);
+  if (spec.passwordCommand) return commandSource("passwordCommand", spec.passwordCommand);
+  if (spec.passwordEnv) return env[spec.passwordEnv] ? { label: spec.passwordEnv, read: async () => env[spec.passwordEnv] } : null;
+  if (!globalEnv) return null;
+  if (env.LG_PASS) return { label: "LG_PASS", read: async () => env.LG_PASS };
+  if (env.LG_PASS_FILE) return fileSource("LG_PASS_FILE", env.LG_PASS_FILE);
+  if (env.LG_PASS_COMMAND) return commandSource("LG_PASS_COMMAND", env.LG_PASS_COMMAND);
+  return null;
+}
+
+/** Read one line from the terminal; `hidden` suppresses echo for passwords. */
+export function promptLine(question, { hidden = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    if (hidden) {
+      rl._writeToOutput = (text) => {
+        if (text.includes(question)) rl.output.write(text);
+      };
+    }
+    rl.on("SIGINT", () => {
+      rl.close();
+      reject(new CredentialsError("Prompt cancelled."));
+    });
+    rl.question(question, (answer) => {
+      if (hidden) process.stderr.write("\n");
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+function canPrompt() {
+  return Boolean(process.stdin.isTTY && process.stderr.isTTY);
+}
+
+/**
+ * Credential source for `spec` (the keys above, all optional). With `interactive`, missing
+ * values are prompted for on a TTY. `globalEnv: false` ignores LG_USER / LG_PASS* (profiles).
+ * `configured` says whether a login could be attempted.
+ */
+export function createCredentialSource(spec = {}, { env = process.env, interactive = false, globalEnv = true } = {}) {
+  const user = usernameSource(spec, env, globalEnv);
+  const pass = passwordSource(spec, env, globalEnv);
+  const prompt = interactive && canPrompt();
+  let resolved = null;
+
+  return {
+    configured: Boolean((user || prompt) && (pass || prompt)),
+    describe() {
+      return `${user?.label ?? (prompt ? "prompt" : "no username")} + ${pass?.label ?? (prompt ? "prompt" : "no password")}`;
+    },
+    async resolve() {
+      if (resolved) return resolved;
+      const username = user ? await user.read() : (prompt ? await promptLine("Learning Genie email: ") : null);
+      const password = pass ? await pass.read() : (prompt ? await promptLine("Learning Genie password: ", { hidden: true }) : null);
+      if (!username || !password) {
+        const missing = [!username && "username", !password && "password"].filter(Boolean).join(" and ");
+        throw new CredentialsError(globalEnv
+          ? `Missing ${missing} for login. Set LG_USER and LG_PASS / LG_PASS_FILE / LG_PASS_COMMAND (or profile credentials), or run interactively.`
+          : `Missing ${missing} for login. Set them under "credentials" in the profile config (LG_USER / LG_PASS* are not used for profiles), or run interactively.`
+        );
+      }
+      resolved = { username, password };
+      return resolved;
+    }
+  };
+}
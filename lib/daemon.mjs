@@ -0,0 +1,99 @@
+/**
+ * Building blocks for `lg daemon`: a cron loop that runs one job at a time in-process,
+ * and a tiny HTTP server exposing /healthz (JSON) and /metrics (Prometheus text).
+ */
+
+import http from "http";
+import { CronError, nextCronTime } from "./schedule.mjs";
+import { renderMetrics } from "./metrics.mjs";
+
+// setTimeout overflows past ~24.8 days; long waits are chained instead.
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/** "9464", ":9464", "127.0.0.1:9464" or "[::1]:9464" → { host, port }. */
+export function parseListen(spec) {
+  const match = String(spec ?? "").trim().match(/^(\d+)$|^(?:\[([^\]]+)\]|([^:]*)):(\d+)$/);
+  const port = Number(match?.[1] ?? match?.[4]);
+  if (!match || !Number.isInteger(port) || port > 65535) {
+    throw new Error(`Invalid --listen ${spec}; expected [host:]port.`);
+  }
+  return { host: match[2] ?? (match[3] || "0.0.0.0"), port };
+}
+
+/**
+ * Serve GET /healthz and /metrics. `health()` returns { healthy, ...details };
+ * unhealthy answers 503 so container health checks and probes can act on it.
+ */
+export function startStatusServer({ host, port }, { health }) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { allow: "GET, HEAD" }).end();
+      return;
+    }
+    if (pathname === "/healthz") {
+      const { healthy, ...details } = health();
+      res.writeHead(healthy ? 200 : 503, { "content-type": "application/json" });
+      res.end(req.method === "HEAD" ? undefined : JSON.stringify({ status: healthy ? "ok" : "unhealthy", ...details }));
+      return;
+    }
+    if (pathname === "/metrics") {
+      res.writeHead(200, { "content-type": "text/plain; version=0.0.4; charset=utf-8" });
+      res.end(req.method === "HEAD" ? undefined : renderMetrics());
+      return;
+    }
+    res.writeHead(404, { "content-type": "text/plain" }).end("not found\n");
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Run `job` whenever `schedule` fires in `timeZone`, never two at once: a run that
+ * overlaps later slots simply skips them. Returns { done, stop() }; `done` settles
+ * once the loop has stopped and any in-flight run has finished. Throws CronError up
+ * front when the schedule never fires (e.g. "0 0 30 2 *").
+ */
+export function startScheduler({ schedule, timeZone, runOnStart = true, job, onScheduled = () => {} }) {
+  const nextRun = () => {
+    const next = nextCronTime(schedule, new Date(), timeZone);
+    if (!next) throw new CronError(`Cron schedule "${schedule.expression ?? schedule}" never fires.`);
+    return next;
+  };
+  nextRun();
+
+  let stopped = false;
+  let timer = null;
+  let wake = null;
+
+  const wait = (ms) => new Promise((resolve) => {
+    wake = resolve;
+    timer = setTimeout(resolve, Math.min(ms, MAX_TIMER_MS));
+  });
+
+  const done = (async () => {
+    if (runOnStart && !stopped) await job();
+    while (!stopped) {
+      const next = nextRun();
+      onScheduled(next);
+      while (!stopped && Date.now() < next.getTime()) {
+        await wait(next.getTime() - Date.now());
+      }
+      if (!stopped) await job();
+    }
+  })();
+
+  return {
+    done,
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      wake?.();
+    }
+  };
+}
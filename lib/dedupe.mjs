@@ -0,0 +1,105 @@
+/**
+ * Cross-child media deduplication for `lg sync`. Group photos often appear in the feeds of
+ * several children; the first copy is downloaded and every other child folder gets a
+ * hardlink to it, or a relative symlink where hardlinks are not possible (e.g. another
+ * filesystem). Copies are matched by media id (the ledger key) before downloading and by
+ * sha256 after. The index is seeded from every child ledger under the outdir, so children
+ * synced by other profiles or earlier runs count too.
+ */
+
+import fs from "fs";
+import path from "path";
+import { LEDGER_FILE, loadLedger } from "./ledger.mjs";
+
+async function isIntact({ path: filePath, bytes }) {
+  try {
+    const st = await fs.promises.stat(filePath);
+    return st.isFile() && (bytes == null || st.size === bytes);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Index of the media already stored under `outdir`, by media key and by sha256.
+ * `reserve(key)` resolves to { source, release() }: a verified copy to link to, or null
+ * when the caller should download it; other callers asking for the same key wait until
+ * `release()`, so children syncing in parallel fetch a shared item only once.
+ */
+export function openMediaIndex(outdir) {
+  const byKey = new Map();
+  const bySha = new Map();
+  const pending = new Map();
+
+  function register(key, entry) {
+    if (!entry?.path) return;
+    if (key && !byKey.has(key)) byKey.set(key, entry);
+    if (entry.sha256 && !bySha.has(entry.sha256)) bySha.set(entry.sha256, entry);
+  }
+
+  let names = [];
+  try {
+    names = fs.readdirSync(outdir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name);
+  } catch {}
+  for (const name of names) {
+    const dir = path.join(outdir, name);
+    if (!fs.existsSync(path.join(dir, LEDGER_FILE))) continue;
+    for (const [key, entry] of Object.entries(loadLedger(dir).media)) {
+      // A symlink is only a pointer; hardlinking it would copy the pointer, not the file.
+      if (entry?.link === "symlink" || !entry?.path) continue;
+      register(key, { path: path.join(dir, entry.path), bytes: entry.bytes ?? null, sha256: entry.sha256 ?? null });
+    }
+  }
+
+  async function lookup(map, id, exceptPath) {
+    const entry = id ? map.get(id) : null;
+    if (!entry || entry.path === exceptPath) return null;
+    if (await isIntact(entry)) return entry;
+    if (map.get(id) === entry) map.delete(id);
+    return null;
+  }
+
+  return {
+    outdir,
+    /** A verified copy of media `key`, or null. */
+    findByKey: (key, exceptPath) => lookup(byKey, key, exceptPath),
+    /** A verified file with this content, or null. */
+    findByHash: (sha256, exceptPath) => lookup(bySha, sha256, exceptPath),
+    async reserve(key) {
+      if (!key) return { source: null, release() {} };
+      while (pending.has(key)) await pending.get(key);
+      let release;
+      pending.set(key, new Promise(resolve => { release = resolve; }));
+      const done = () => {
+        pending.delete(key);
+        release();
+      };
+      const source = await lookup(byKey, key);
+      if (source) done();
+      return { source, release: done };
+    },
+    /** Record a file now stored at `path` (absolute) with its size and sha256. */
+    register(key, { path: filePath, bytes = null, sha256 = null }) {
+      register(key, { path: filePath, bytes, sha256 });
+    }
+  };
+}
+
+/**
+ * Put a link to `source` at `dest`, replacing whatever is there: a hardlink, else a
+ * relative symlink. Resolves to "hardlink" or "symlink"; throws when neither is possible.
+ */
+export async function linkShared(source, dest) {
+  const tmp = `${dest}.link`;
+  await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+  await fs.promises.rm(tmp, { force: true });
+  let type = "hardlink";
+  try {
+    await fs.promises.link(source, tmp);
+  } catch {
+    type = "symlink";
+    await fs.promises.symlink(path.relative(path.dirname(dest), source), tmp);
+  }
+  await fs.promises.rename(tmp, dest);
+  return type;
+}
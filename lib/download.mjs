@@ -0,0 +1,576 @@
+/**
+ * Built-in media downloader used by `lg sync`.
+ * - bounded parallel downloads
+ * - resumes partial `.part` files with HTTP Range requests
+ * - retries 429/5xx/network errors with exponential backoff
+ * - atomic rename into place once a file is complete
+ * - progress events so the CLI can report per-file status live
+ * - optional per-child ledger so media already on disk is never fetched again
+ * - optional cross-child index so media shared by several children is stored once
+ * - optional storage mirror, so media pruned locally after publishing is not fetched again
+ */
+
+import fs from "fs";
+import path from "path";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { stampMedia } from "./metadata.mjs";
+import { zonedTimeToUtc } from "./time.mjs";
+import { hashFile } from "./fs-utils.mjs";
+import { mediaKey, findLedgerEntry, ledgerPathOwner, recordLedgerEntry } from "./ledger.mjs";
+import { linkShared } from "./dedupe.mjs";
+import { compileLayout, buildLayoutFields, DEFAULT_LAYOUT } from "./layout.mjs";
+import { deriveStableId } from "./notes.mjs";
+
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_DOWNLOAD_RETRIES = 4;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+const PROGRESS_INTERVAL_MS = 2000;
+const PART_SUFFIX = ".part";
+
+const UTC_KEYS = ["createAtUtc", "createdAtUtc", "create_at_utc", "created_at_utc", "createAtUTC", "createdAtUTC"];
+const LOCAL_KEYS = ["createAt", "createdAt", "create_at", "created_at"];
+
+class DownloadError extends Error {
+  constructor(message, { retryable = false, status } = {}) {
+    super(message);
+    this.name = "DownloadError";
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+function firstPresent(sources, keys) {
+  for (const src of sources) {
+    for (const key of keys) {
+      const value = src?.[key];
+      if (value != null && value !== "") return String(value);
+    }
+  }
+  return null;
+}
+
+function normalizeCaption(value) {
+  return String(value ?? "")
+    .replace(/[\r\n\t]/g, " ")
+    .replace(/ {2,}/g, " ")
+    .trim();
+}
+
+function parseMediaTime(raw, hint, timeZone) {
+  const normalized = raw.trim().replace(" ", "T");
+  if (hint === "utc") {
+    const candidate = /[zZ]|[+-]\d{2}:?\d{2}$/.test(normalized) ? normalized : `${normalized}Z`;
+    const d = new Date(candidate);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  if (/[zZ]|[+-]\d{2}:?\d{2}$/.test(normalized)) {
+    const d = new Date(normalized);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  return zonedTimeToUtc(raw, timeZone);
+}
+
+function* walkMediaParents(node) {
+  if (Array.isArray(node)) {
+    for (const child of node) yield* walkMediaParents(child);
+    return;
+  }
+  if (!node || typeof node !== "object") return;
+  if (Array.isArray(node.media)) yield node;
+  for (const value of Object.values(node)) {
+    if (value && typeof value === "object") yield* walkMediaParents(value);
+  }
+}
+
+export function fileNameFromUrl(url) {
+  try {
+    const name = path.posix.basename(new URL(url).pathname);
+    return decodeURIComponent(name) || "media";
+  } catch {
+    return path.posix.basename(String(url).split("?")[0]) || "media";
+  }
+}
+
+/**
+ * Turn Notes items into download jobs: one per unique media `public_url`, with the
+ * capture time (UTC fields preferred, local fields interpreted in `timeZone`) and the
+ * note caption for Activity notes. Same selection rules as learning-genie-download.sh.
+ * `relPath` (relative to the sync outdir) comes from the compiled `layout` template.
+ */
+export function collectMediaJobs(items, options) {
+  return createMediaJobCollector(options).add(items);
+}
+
+/**
+ * Incremental collectMediaJobs for notes that arrive page by page: `add(items)` returns
+ * the jobs for those notes, skipping URLs and numbering path collisions across all calls.
+ * With the child's `ledger` (and the `outdir` its paths are under), numbering skips paths
+ * the ledger gives to other media and keeps each recorded item on its own path, so the
+ * suffixes stay the same from run to run.
+ */
+export function createMediaJobCollector({
+  timeZone,
+  child = "media",
+  childName,
+  layout = compileLayout(DEFAULT_LAYOUT),
+  ledger = null,
+  outdir = null
+} = {}) {
+  const seenUrls = new Set();
+  const usedPaths = new Set();
+  const owners = new Map();
+  const recorded = new Map();
+  for (const [key, entry] of Object.entries(ledger && outdir ? ledger.media : {})) {
+    if (!entry?.path) continue;
+    const relPath = path.relative(outdir, path.join(ledger.dir, entry.path)).split(path.sep).join("/");
+    owners.set(relPath, key);
+    recorded.set(key, relPath);
+  }
+  const paths = { usedPaths, owners, recorded };
+  return { add: (items) => collectJobs(items, { timeZone, child, childName, layout, seenUrls, paths }) };
+}
+
+// `relPath`, or its first aria2c-style ".1", ".2" … variant that no other job in this run
+// and no ledger entry for other media holds. Media recorded on one of them keeps it.
+function claimPath(relPath, key, { usedPaths, owners, recorded }) {
+  const ext = path.posix.extname(relPath);
+  const stem = relPath.slice(0, relPath.length - ext.length);
+  const own = recorded.get(key);
+  const isVariant = own?.startsWith(`${stem}.`) && own.endsWith(ext) && /^\d+$/.test(own.slice(stem.length + 1, own.length - ext.length));
+  if (own && !usedPaths.has(own) && (own === relPath || isVariant)) {
+    usedPaths.add(own);
+    return own;
+  }
+  for (let n = 0; ; n += 1) {
+    const candidate = n ? `${stem}.${n}${ext}` : relPath;
+    const owner = owners.get(candidate);
+    if (usedPaths.has(candidate) || (owner != null && owner !== key)) continue;
+    usedPaths.add(candidate);
+    return candidate;
+  }
+}
+
+function collectJobs(items, { timeZone, child, childName, layout, seenUrls, paths }) {
+  const jobs = [];
+  for (const parent of walkMediaParents(items)) {
+    const noteId = deriveStableId(parent);
+    for (const [mediaIndex, media] of parent.media.entries()) {
+      const url = media?.public_url;
+      if (!url || seenUrls.has(url)) continue;
+
+      const utc = firstPresent([media, parent], UTC_KEYS);
+      const local = firstPresent([media, parent], LOCAL_KEYS);
+      const raw = utc ?? local;
+      if (!raw) continue;
+      const hint = utc ? "utc" : "local";
+      seenUrls.add(url);
+
+      const date = parseMediaTime(raw, hint, timeZone);
+      const key = mediaKey(media);
+      const relPath = claimPath(layout(buildLayoutFields({
+        child,
+        childName,
+        note: parent,
+        noteId,
+        media,
+        mediaIndex,
+        fileName: fileNameFromUrl(url),
+        date,
+        timeZone
+      })), key, paths);
+
+      jobs.push({
+        key,
+        url,
+        relPath,
+        fileName: path.posix.basename(relPath),
+        raw,
+        hint,
+        date,
+        caption: (parent.type ?? "") === "Activity" ? normalizeCaption(parent.payload) : "",
+        note: parent,
+        media
+      });
+    }
+  }
+  return jobs;
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function backoffDelay(attempt) {
+  const exp = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+async function statSize(filePath) {
+  try {
+    const st = await fs.promises.stat(filePath);
+    return st.isFile() ? st.size : null;
+  } catch {
+    return null;
+  }
+}
+
+async function downloadOnce(url, partPath, { onProgress }) {
+  const offset = (await statSize(partPath)) ?? 0;
+  const headers = offset > 0 ? { range: `bytes=${offset}-` } : {};
+
+  let resp;
+  try {
+    resp = await fetch(url, { headers, redirect: "follow" });
+  } catch (err) {
+    throw new DownloadError(`network error: ${err?.cause?.message || err?.message || err}`, { retryable: true });
+  }
+
+  if (resp.status === 416 && offset > 0) {
+    // Server rejected our range; the partial file is unusable.
+    await resp.body?.cancel().catch(() => {});
+    await fs.promises.rm(partPath, { force: true });
+    throw new DownloadError("range not satisfiable; restarting from zero", { retryable: true, status: 416 });
+  }
+  if (resp.status === 429 || resp.status >= 500) {
+    await resp.body?.cancel().catch(() => {});
+    throw new DownloadError(`HTTP ${resp.status}`, { retryable: true, status: resp.status });
+  }
+  if (!resp.ok || !resp.body) {
+    await resp.body?.cancel().catch(() => {});
+    throw new DownloadError(`HTTP ${resp.status} ${resp.statusText}`, { status: resp.status });
+  }
+
+  const resumed = resp.status === 206 && offset > 0;
+  const start = resumed ? offset : 0;
+  const length = Number(resp.headers.get("content-length"));
+  const expected = Number.isFinite(length) && length > 0 ? start + length : null;
+
+  let received = start;
+  let lastReport = Date.now();
+  const counter = new Transform({
+    transform(chunk, _enc, cb) {
+      received += chunk.length;
+      const now = Date.now();
+      if (now - lastReport >= PROGRESS_INTERVAL_MS) {
+        lastReport = now;
+        onProgress?.({ bytes: received, totalBytes: expected });
+      }
+      cb(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(
+      Readable.fromWeb(resp.body),
+      counter,
+      fs.createWriteStream(partPath, { flags: resumed ? "a" : "w" })
+    );
+  } catch (err) {
+    throw new DownloadError(`transfer interrupted: ${err?.message || err}`, { retryable: true });
+  }
+
+  if (expected != null && received !== expected) {
+    throw new DownloadError(`incomplete transfer (${received}/${expected} bytes)`, { retryable: true });
+  }
+  return { bytes: received, resumedFrom: resumed ? offset : 0 };
+}
+
+/**
+ * Download `url` to `destPath` via `<destPath>.part`, resuming and retrying as needed.
+ */
+export async function downloadFile(url, destPath, { retries = DEFAULT_DOWNLOAD_RETRIES, onProgress, onRetry } = {}) {
+  const partPath = `${destPath}${PART_SUFFIX}`;
+  await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await downloadOnce(url, partPath, { onProgress });
+      await fs.promises.rename(partPath, destPath);
+      return result;
+    } catch (err) {
+      if (!err?.retryable || attempt >= retries) throw err;
+      const delay = backoffDelay(attempt);
+      onRetry?.({ attempt: attempt + 1, retries, delay, error: err });
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Download all jobs into `outdir` with at most `concurrency` transfers in flight.
+ * Media recorded in `ledger` (or already present at the target path) is skipped;
+ * everything that ends up on disk is recorded with its size and sha256. With a `shared`
+ * media index (dedupe.mjs), media another child already has is linked instead of
+ * downloaded (`linked`), and a download whose content matches an existing file is
+ * replaced by a link to it (`linkedTo` on the downloaded entry). With a `storage` mirror
+ * (mirror.mjs), ledger media whose published copy matches is skipped even when it is no
+ * longer on disk (reason "storage").
+ * Failures are collected rather than thrown.
+ * `onEvent` receives { type: "start"|"progress"|"retry"|"done"|"skip"|"link"|"fail"|"stamp-failed", ... }.
+ */
+export async function runDownloads(jobs, options) {
+  const downloads = startDownloads(options);
+  downloads.add(jobs);
+  return downloads.finish();
+}
+
+/**
+ * runDownloads as a queue: `add(jobs)` starts them as soon as a transfer slot is free, so
+ * media can download while later pages are still being fetched. `finish()` waits for
+ * everything added and resolves to the summary. An event's `total` is the number of jobs
+ * added so far.
+ */
+export function startDownloads({
+  outdir,
+  concurrency = DEFAULT_CONCURRENCY,
+  retries = DEFAULT_DOWNLOAD_RETRIES,
+  timeZone,
+  stamp = true,
+  ledger = null,
+  shared = null,
+  storage = null,
+  onEvent = () => {}
+} = {}) {
+  const summary = { downloaded: [], skipped: [], linked: [], failed: [] };
+  const queue = [];
+  let total = 0;
+  let active = 0;
+  let finishing = false;
+  let failure = null;
+  let settle;
+  const done = new Promise((resolve, reject) => {
+    settle = () => (failure ? reject(failure) : resolve(summary));
+  });
+
+  function pump() {
+    while (active < Math.max(1, concurrency) && queue.length) {
+      const { job, index } = queue.shift();
+      active += 1;
+      handle(job, index)
+        .catch((err) => {
+          // Ledger or filesystem trouble, not a failed transfer: stop taking new work.
+          failure ??= err;
+          queue.length = 0;
+        })
+        .finally(() => {
+          active -= 1;
+          pump();
+        });
+    }
+    if (finishing && active === 0 && !queue.length) settle();
+  }
+
+  // Target paths of the jobs queued so far, so a renamed job does not take another's.
+  const claimed = new Set();
+
+  // The first `.1`, `.2` … variant of `destPath` that is not on disk, owned by a ledger
+  // entry or claimed by another job.
+  async function freePath(destPath) {
+    const ext = path.extname(destPath);
+    const stem = destPath.slice(0, destPath.length - ext.length);
+    for (let n = 1; ; n += 1) {
+      const candidate = `${stem}.${n}${ext}`;
+      if (claimed.has(candidate) || ledgerPathOwner(ledger, candidate) != null) continue;
+      if ((await statSize(candidate)) == null && (await statSize(candidate + PART_SUFFIX)) == null) {
+        claimed.add(candidate);
+        return candidate;
+      }
+    }
+  }
+
+  async function handle(job, index) {
+    let destPath = path.join(outdir, ...job.relPath.split("/"));
+    const base = { job, index, total, path: destPath };
+
+    const known = await findLedgerEntry(ledger, job.key);
+    if (known) {
+      const knownPath = path.join(ledger.dir, known.path);
+      summary.skipped.push({ job, path: knownPath, reason: "ledger" });
+      onEvent({ ...base, path: knownPath, type: "skip", reason: "ledger" });
+      return;
+    }
+
+    const stored = storage?.findLedgerEntry(ledger, job.key);
+    if (stored) {
+      const storedPath = path.join(ledger.dir, stored.path);
+      summary.skipped.push({ job, path: storedPath, reason: "storage" });
+      onEvent({ ...base, path: storedPath, type: "skip", reason: "storage" });
+      return;
+    }
+
+    const existingBytes = await statSize(destPath);
+    if (existingBytes != null) {
+      const owner = ledgerPathOwner(ledger, destPath);
+      if (owner == null || owner === job.key) {
+        // Downloaded before the ledger existed (or the ledger was lost): adopt the file.
+        if (ledger || shared) {
+          const sha256 = await hashFile(destPath);
+          recordLedgerEntry(ledger, job.key, { note: job.note, url: job.url, filePath: destPath, bytes: existingBytes, sha256 });
+          shared?.register(job.key, { path: destPath, bytes: existingBytes, sha256 });
+        }
+        summary.skipped.push({ job, path: destPath, reason: "on-disk" });
+        onEvent({ ...base, type: "skip", reason: "on-disk" });
+        return;
+      }
+      // The file there is another media item's: this one gets a name of its own.
+      destPath = await freePath(destPath);
+      job.relPath = path.relative(outdir, destPath).split(path.sep).join("/");
+      job.fileName = path.posix.basename(job.relPath);
+      base.path = destPath;
+    }
+
+    // Another child (or a parallel one, once its download finishes) may already have it.
+    const reservation = await shared?.reserve(job.key);
+    try {
+      if (reservation?.source && await linkFrom(reservation.source, job, base, destPath)) return;
+      await fetchAndStore(job, base, destPath);
+    } finally {
+      reservation?.release();
+    }
+  }
+
+  async function linkFrom(source, job, base, destPath) {
+    let link;
+    try {
+      link = await linkShared(source.path, destPath);
+    } catch {
+      return false;
+    }
+    recordLedgerEntry(ledger, job.key, { note: job.note, url: job.url, filePath: destPath, bytes: source.bytes, sha256: source.sha256, link });
+    if (link === "hardlink") shared.register(job.key, { path: destPath, bytes: source.bytes, sha256: source.sha256 });
+    summary.linked.push({ job, path: destPath, source: source.path, link, match: "id", bytes: source.bytes });
+    onEvent({ ...base, type: "link", source: source.path, link, match: "id" });
+    return true;
+  }
+
+  async function fetchAndStore(job, base, destPath) {
+    onEvent({ ...base, type: "start" });
+    const started = Date.now();
+    let result;
+    try {
+      result = await downloadFile(job.url, destPath, {
+        retries,
+        onProgress: (p) => onEvent({ ...base, type: "progress", ...p }),
+        onRetry: (r) => onEvent({ ...base, type: "retry", ...r })
+      });
+    } catch (error) {
+      summary.failed.push({ job, path: destPath, error });
+      onEvent({ ...base, type: "fail", error });
+      return;
+    }
+
+    let stamped = null;
+    if (stamp && job.date) {
+      try {
+        stamped = await stampMedia(destPath, { date: job.date, timeZone, caption: job.caption });
+      } catch (error) {
+        onEvent({ ...base, type: "stamp-failed", error });
+      }
+    }
+
+    let sharedCopy = null;
+    if (ledger || shared) {
+      // Hash after stamping so the ledger matches the file as it sits on disk.
+      const bytes = (await statSize(destPath)) ?? result.bytes;
+      const sha256 = await hashFile(destPath);
+      // Same bytes under a different media id: keep the existing file and link to it.
+      const twin = await shared?.findByHash(sha256, destPath);
+      let link = null;
+      if (twin) {
+        link = await linkShared(twin.path, destPath).catch(() => null);
+        if (link) sharedCopy = { source: twin.path, link, match: "hash" };
+      }
+      recordLedgerEntry(ledger, job.key, { note: job.note, url: job.url, filePath: destPath, bytes, sha256, link });
+      if (link !== "symlink") shared?.register(job.key, { path: destPath, bytes, sha256 });
+    }
+
+    summary.downloaded.push({ job, path: destPath, bytes: result.bytes, ...(sharedCopy ? { sharedWith: sharedCopy } : {}) });
+    onEvent({
+      ...base,
+      type: "done",
+      bytes: result.bytes,
+      resumedFrom: result.resumedFrom,
+      stamped,
+      linkedTo: sharedCopy?.source ?? null,
+      duration: Date.now() - started
+    });
+  }
+
+  return {
+    add(jobs) {
+      if (finishing) throw new Error("Downloads already finished.");
+      if (failure) return;
+      for (const job of jobs) {
+        claimed.add(path.join(outdir, ...job.relPath.split("/")));
+        queue.push({ job, index: total++ });
+      }
+      pump();
+    },
+    get total() {
+      return total;
+    },
+    finish() {
+      finishing = true;
+      pump();
+      return done;
+    }
+  };
+}
+
+async function headContentLength(url) {
+  try {
+    const resp = await fetch(url, { method: "HEAD", redirect: "follow" });
+    const length = Number(resp.headers.get("content-length"));
+    return resp.ok && Number.isFinite(length) && length > 0 ? length : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What runDownloads would do with `jobs`, without writing anything: media it would skip
+ * (in the ledger, already at the target path or stored in the `storage` mirror), media it
+ * would link from another child
+ * in the `shared` index, and media it would fetch, sized with a HEAD request (`bytes` is
+ * null when the server does not say).
+ */
+export async function planDownloads(jobs, { outdir, ledger = null, shared = null, storage = null, concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const plan = { onDisk: [], shared: [], pending: [] };
+  let next = 0;
+
+  async function handle(job) {
+    const destPath = path.join(outdir, ...job.relPath.split("/"));
+    // A file at the target path only counts when no other ledger entry owns it.
+    const adoptable = async () => (await statSize(destPath)) != null && [null, job.key].includes(ledgerPathOwner(ledger, destPath));
+    if ((await findLedgerEntry(ledger, job.key)) || storage?.findLedgerEntry(ledger, job.key) || (await adoptable())) {
+      plan.onDisk.push({ job, path: destPath });
+      return;
+    }
+    const source = await shared?.findByKey(job.key);
+    if (source) {
+      plan.shared.push({ job, path: destPath, source: source.path });
+      return;
+    }
+    plan.pending.push({ job, path: destPath, bytes: await headContentLength(job.url) });
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, jobs.length)) }, async () => {
+    while (next < jobs.length) {
+      await handle(jobs[next++]);
+    }
+  });
+  await Promise.all(workers);
+  return plan;
+}
+
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return "?";
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
@@ -0,0 +1,97 @@
+/**
+ * Helpers for Enrollments API records: ids, display names, folder slugs and timezones.
+ */
+
+import { hostTimeZone, isValidTimeZone, zonedDateParts } from "./time.mjs";
+
+export function extractEnrollmentId(enrollment) {
+  return enrollment?.id ?? enrollment?.enrollment_id ?? enrollment?.enrollmentId ?? null;
+}
+
+export function resolveEnrollmentDisplayName(enrollment, fallbackId) {
+  const candidates = [
+    enrollment?.first_name,
+    enrollment?.firstName,
+    enrollment?.display_name,
+    enrollment?.displayName,
+    enrollment?.child?.first_name,
+    enrollment?.child?.display_name
+  ];
+  for (const value of candidates) {
+    if (typeof value === "string" && value.trim()) return value.trim();
+  }
+  return fallbackId || "child";
+}
+
+export function uniqueSlug(name, used) {
+  const base = slugifyName(name) || "child";
+  const count = used.get(base) ?? 0;
+  used.set(base, count + 1);
+  if (count === 0) return base;
+  return `${base}-${count + 1}`;
+}
+
+export function slugifyName(value) {
+  if (!value) return "";
+  const ascii = value.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/[^\x00-\x7F]/g, "");
+  return ascii
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .toLowerCase();
+}
+
+/**
+ * IANA zone of an enrollment: its own record, else the account's zone, else LOCAL_TZ.
+ * The X-LG-TimezoneOffset header is the last resort, as it only holds today's offset.
+ */
+export function resolveEnrollmentTimezone({ enrollment, headers, accountTimeZone = null }) {
+  const candidates = [
+    enrollment?.center?.timezone,
+    enrollment?.group?.timezone,
+    enrollment?.timezone,
+    enrollment?.timeZone,
+    enrollment?.child?.timezone,
+    enrollment?.child?.timeZone
+  ];
+  for (const tz of candidates) {
+    if (typeof tz === "string" && isValidTimeZone(tz.trim())) return tz.trim();
+  }
+
+  if (isValidTimeZone(accountTimeZone)) return accountTimeZone;
+
+  if (process.env.LOCAL_TZ && isValidTimeZone(process.env.LOCAL_TZ.trim())) {
+    return process.env.LOCAL_TZ.trim();
+  }
+
+  const offsetHeader = getHeaderValue(headers, "x-lg-timezoneoffset");
+  if (offsetHeader && offsetHeader !== "null") {
+    const num = Number(offsetHeader);
+    if (!Number.isNaN(num)) {
+      // Usually the host's own offset (see buildApiHeaders); its IANA zone also knows DST.
+      const host = hostTimeZone();
+      if (zonedDateParts(new Date(), host).offsetMinutes === num * 60) return host;
+      const tz = offsetHoursToTimezone(num);
+      if (tz) return tz;
+    }
+  }
+
+  return null;
+}
+
+/** Fixed-offset `Etc/GMT±N` zone; null for offsets that are not whole hours (no such zone exists). */
+export function offsetHoursToTimezone(offsetHours) {
+  if (!Number.isInteger(offsetHours)) return null;
+  const inverted = -offsetHours;
+  const suffix = inverted >= 0 ? `+${inverted}` : `${inverted}`;
+  return `Etc/GMT${suffix}`;
+}
+
+export function getHeaderValue(headers, name) {
+  if (!headers) return undefined;
+  if (headers[name] != null) return headers[name];
+  const target = name.toLowerCase();
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === target) return value;
+  }
+  return undefined;
+}
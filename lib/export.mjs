@@ -0,0 +1,240 @@
+/**
+ * CSV and iCalendar export of the per-child note records (`notes.ndjson`).
+ * Works entirely from disk: no API calls. Wall-clock times are interpreted in the
+ * timezone stored on each record (the school's, resolved during sync).
+ */
+
+import fs from "fs";
+import path from "path";
+import { NOTES_FILE, readNoteRecords } from "./records.mjs";
+import { zonedTimeToUtc } from "./time.mjs";
+
+export const EXPORT_FORMATS = ["csv", "ics"];
+
+const CSV_COLUMNS = [
+  "child", "date", "time", "end", "timezone", "kind", "type", "category",
+  "teacher", "caption", "tags", "media_count", "media", "note_id"
+];
+
+/** Children under `outdir` that have a notes.ndjson store, with their records. */
+export function loadChildRecords(outdir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(outdir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(e => e.isDirectory() && fs.existsSync(path.join(outdir, e.name, NOTES_FILE)))
+    .map((e) => {
+      const dir = path.join(outdir, e.name);
+      const records = readNoteRecords(dir);
+      return { dir, slug: e.name, name: records.find(r => r.child)?.child ?? e.name, records };
+    })
+    .sort((a, b) => a.slug.localeCompare(b.slug));
+}
+
+function localDay(record) {
+  return record.localTime?.slice(0, 10) ?? null;
+}
+
+/** Keep records whose local date is within [from, to] (YYYY-MM-DD) and whose category or kind is listed. */
+export function filterRecords(records, { from, to, categories } = {}) {
+  const wanted = categories?.length ? new Set(categories.map(c => c.toLowerCase())) : null;
+  return records.filter((r) => {
+    const day = localDay(r);
+    if (from && (!day || day < from)) return false;
+    if (to && (!day || day > to)) return false;
+    if (wanted && !wanted.has(String(r.category ?? "").toLowerCase()) && !wanted.has(String(r.kind ?? "").toLowerCase())) {
+      return false;
+    }
+    return true;
+  });
+}
+
+function toInstant(value, timeZone) {
+  if (!value) return null;
+  const str = String(value).trim();
+  if (/[zZ]$|[+-]\d{2}:?\d{2}$/.test(str)) {
+    const d = new Date(str.replace(" ", "T"));
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  return zonedTimeToUtc(str, timeZone);
+}
+
+function recordStart(record, fallbackZone) {
+  const zone = record.timeZone ?? fallbackZone;
+  return toInstant(record.from, zone) ?? toInstant(record.localTime, zone);
+}
+
+function csvCell(value) {
+  const str = value == null ? "" : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function renderCsv(records) {
+  const rows = [CSV_COLUMNS.join(",")];
+  const sorted = [...records].sort((a, b) => String(a.localTime).localeCompare(String(b.localTime)));
+  for (const r of sorted) {
+    const media = (r.media ?? []).map(m => m.path);
+    rows.push([
+      r.child,
+      localDay(r),
+      String(r.from ?? r.localTime ?? "").slice(11, 19),
+      String(r.from && r.to ? r.to : "").slice(11, 19),
+      r.timeZone,
+      r.kind,
+      r.type,
+      r.category,
+      r.teacher,
+      r.caption,
+      (r.tags ?? []).join("; "),
+      media.length,
+      media.join("; "),
+      r.noteId
+    ].map(csvCell).join(","));
+  }
+  return `${rows.join("\r\n")}\r\n`;
+}
+
+function firstLine(text, max = 80) {
+  const line = String(text ?? "").split(/\r?\n/).find(l => l.trim())?.trim() ?? "";
+  return line.length > max ? `${line.slice(0, max - 1)}…` : line;
+}
+
+function titleCase(value) {
+  return String(value ?? "").replace(/(^|[\s-])(\w)/g, (_, sep, ch) => `${sep}${ch.toUpperCase()}`);
+}
+
+/**
+ * Calendar events for `records`: nap spans (from/to), one attendance span per day
+ * pairing the first check-in with the last check-out, and a point event for every other note.
+ */
+export function buildEvents(records, { childName, timeZone } = {}) {
+  const events = [];
+  const attendance = new Map();
+
+  for (const r of records) {
+    if (r.kind === "check-in" || r.kind === "check-out") {
+      const day = localDay(r);
+      if (day) {
+        if (!attendance.has(day)) attendance.set(day, { in: [], out: [] });
+        attendance.get(day)[r.kind === "check-in" ? "in" : "out"].push(r);
+        continue;
+      }
+    }
+
+    const start = recordStart(r, timeZone);
+    if (!start) continue;
+    const zone = r.timeZone ?? timeZone;
+    const end = r.from && r.to ? toInstant(r.to, zone) : null;
+    const label = r.type ?? titleCase(r.kind);
+    const caption = firstLine(r.caption);
+    events.push({
+      uid: `${r.noteId}@learning-genie-sync`,
+      start,
+      end: end && end > start ? end : null,
+      summary: `${childName ?? r.child ?? ""}: ${label}${caption ? ` – ${caption}` : ""}`.trim(),
+      description: [r.caption, r.teacher ? `Teacher: ${r.teacher}` : null].filter(Boolean).join("\n\n"),
+      categories: [r.kind, r.category].filter(Boolean)
+    });
+  }
+
+  for (const [day, { in: ins, out: outs }] of attendance) {
+    const byTime = (a, b) => String(a.localTime).localeCompare(String(b.localTime));
+    ins.sort(byTime);
+    outs.sort(byTime);
+    const checkIn = ins[0];
+    const checkOut = outs[outs.length - 1];
+    const start = checkIn ? recordStart(checkIn, timeZone) : null;
+    const end = checkOut ? recordStart(checkOut, timeZone) : null;
+    const who = childName ?? checkIn?.child ?? checkOut?.child ?? "";
+
+    if (start && end && end > start) {
+      events.push({
+        uid: `attendance-${day}-${checkIn.enrollmentId ?? who}@learning-genie-sync`,
+        start,
+        end,
+        summary: `${who}: at school`.trim(),
+        description: [checkIn.teacher && `Checked in by ${checkIn.teacher}`, checkOut.teacher && `Checked out by ${checkOut.teacher}`].filter(Boolean).join("\n"),
+        categories: ["attendance"]
+      });
+      continue;
+    }
+    for (const r of [...ins, ...outs]) {
+      const at = recordStart(r, timeZone);
+      if (!at) continue;
+      events.push({
+        uid: `${r.noteId}@learning-genie-sync`,
+        start: at,
+        end: null,
+        summary: `${who}: ${r.kind === "check-in" ? "checked in" : "checked out"}`.trim(),
+        description: r.teacher ? `Teacher: ${r.teacher}` : "",
+        categories: ["attendance"]
+      });
+    }
+  }
+
+  return events.sort((a, b) => a.start - b.start);
+}
+
+function icsDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}Z$/, "Z");
+}
+
+function icsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545 §3.1: fold lines longer than 75 octets.
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, "utf8");
+    if (size + len > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+export function renderIcs(events, { calendarName, timeZone } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//learning-genie-sync//lg export//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH"
+  ];
+  if (calendarName) lines.push(`X-WR-CALNAME:${icsText(calendarName)}`);
+  if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`);
+
+  for (const ev of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${icsText(ev.uid)}`,
+      `DTSTAMP:${icsDate(ev.start)}`,
+      `DTSTART:${icsDate(ev.start)}`
+    );
+    if (ev.end) lines.push(`DTEND:${icsDate(ev.end)}`);
+    lines.push(`SUMMARY:${icsText(ev.summary)}`);
+    if (ev.description) lines.push(`DESCRIPTION:${icsText(ev.description)}`);
+    if (ev.categories?.length) lines.push(`CATEGORIES:${ev.categories.map(icsText).join(",")}`);
+    lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
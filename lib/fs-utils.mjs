@@ -0,0 +1,59 @@
+/**
+ * Small filesystem helpers shared by the sync pipeline.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+
+/** Write via a temp file in the same directory + rename, so readers never see a half-written file. */
+export function writeFileAtomic(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, filePath);
+}
+
+export function writeJsonAtomic(filePath, value) {
+  writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+}
+
+/**
+ * NDJSON file written as data arrives: `write(values)` appends one line per value at once,
+ * so everything written survives a crash. An existing file is truncated.
+ */
+export function createNdjsonWriter(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const fd = fs.openSync(filePath, "w");
+  let count = 0;
+  return {
+    file: filePath,
+    get count() {
+      return count;
+    },
+    write(values) {
+      if (!values.length) return;
+      fs.appendFileSync(fd, values.map(value => JSON.stringify(value) + "\n").join(""));
+      count += values.length;
+    },
+    close() {
+      fs.closeSync(fd);
+    }
+  };
+}
+
+/** Parsed JSON from `filePath`, or `fallback` when the file is missing or unreadable. */
+export function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+export async function hashFile(filePath, algorithm = "sha256") {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest("hex");
+}
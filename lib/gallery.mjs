@@ -0,0 +1,310 @@
+/**
+ * Static, offline HTML photo journal built from a synced --outdir tree.
+ * Reads the per-child ledgers and the note sidecars written by `sync`, then renders:
+ *   <site>/index.html                 children overview
+ *   <site>/<child>/index.html         timeline of days
+ *   <site>/<child>/<yyyy-MM-dd>.html  notes with captions and media for one day
+ * Media is linked by relative path (never copied), so the site works straight from disk.
+ */
+
+import fs from "fs";
+import path from "path";
+import { LEDGER_FILE } from "./ledger.mjs";
+import { extractTimestamp, noteWallClock } from "./notes.mjs";
+import { formatWallClock } from "./layout.mjs";
+import { zonedDateParts } from "./time.mjs";
+import { uniqueSlug } from "./enrollments.mjs";
+import { readJsonFile, writeFileAtomic } from "./fs-utils.mjs";
+
+const VIDEO_EXTS = new Set([".mp4", ".mov", ".m4v", ".webm"]);
+const SIDECAR_RE = /\.notes?\.json$/;
+const SKIP_DIRS = new Set(["node_modules", ".git"]);
+
+const STYLE = `:root { color-scheme: light dark; --fg: #1d1d1f; --muted: #6e6e73; --bg: #fafafa; --card: #fff; --accent: #2f6fde; }
+@media (prefers-color-scheme: dark) { :root { --fg: #f2f2f7; --muted: #a1a1a6; --bg: #111; --card: #1c1c1e; --accent: #6ea1ff; } }
+* { box-sizing: border-box; }
+body { margin: 0; font: 16px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; color: var(--fg); background: var(--bg); }
+header, main { max-width: 1100px; margin: 0 auto; padding: 1rem 1.25rem; }
+header a { color: var(--accent); text-decoration: none; }
+h1 { margin: .25rem 0 1rem; }
+.muted { color: var(--muted); }
+.cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 1rem; }
+.card { background: var(--card); border-radius: 12px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,.12); color: inherit; text-decoration: none; }
+.card .body { padding: .75rem 1rem; }
+.day { background: var(--card); border-radius: 12px; padding: 1rem; margin-bottom: 1rem; box-shadow: 0 1px 3px rgba(0,0,0,.12); }
+.day h2 { margin: 0 0 .5rem; font-size: 1.1rem; }
+.day h2 a { color: inherit; }
+.note { border-top: 1px solid rgba(127,127,127,.25); padding: 1rem 0; }
+.note:first-of-type { border-top: 0; }
+.caption { white-space: pre-wrap; margin: .5rem 0; }
+.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: .5rem; }
+.thumb { display: block; aspect-ratio: 1; background: rgba(127,127,127,.15); border-radius: 8px; overflow: hidden; position: relative; }
+.thumb img, .thumb video { width: 100%; height: 100%; object-fit: cover; display: block; }
+.thumb .badge { position: absolute; right: 6px; bottom: 6px; background: rgba(0,0,0,.6); color: #fff; border-radius: 4px; padding: 0 6px; font-size: .8rem; }
+.cover { aspect-ratio: 4 / 3; border-radius: 0; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Each segment is encoded on its own: file names may contain `#` or `?`, which encodeURI keeps.
+function href(fromDir, target) {
+  return path.relative(fromDir, target).split(path.sep).map(encodeURIComponent).join("/");
+}
+
+function isVideo(filePath) {
+  return VIDEO_EXTS.has(path.extname(filePath).toLowerCase());
+}
+
+function* walkSidecars(dir, skipDir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (SKIP_DIRS.has(entry.name) || path.resolve(full) === skipDir) continue;
+      yield* walkSidecars(full, skipDir);
+    } else if (entry.isFile() && SIDECAR_RE.test(entry.name)) {
+      yield full;
+    }
+  }
+}
+
+function findChildLedgers(outdir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(outdir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(e => e.isDirectory())
+    .map(e => path.join(outdir, e.name))
+    .filter(dir => fs.existsSync(path.join(dir, LEDGER_FILE)))
+    .sort();
+}
+
+function noteFromRecord(record, sidecarDir) {
+  const raw = record.raw ?? {};
+  const wall = noteWallClock(raw, null, record.timeZone) ?? null;
+  const ts = extractTimestamp(raw, { timeZone: record.timeZone });
+  return {
+    noteId: String(record.noteId),
+    type: record.type,
+    teacher: record.teacher,
+    caption: record.caption ?? "",
+    tags: record.tags ?? [],
+    localTime: wall ? formatWallClock("yyyy-MM-dd HH:mm:ss", wall) : record.localTime ?? null,
+    sortKey: ts?.date?.getTime() ?? 0,
+    media: (record.media ?? []).map(m => path.resolve(sidecarDir, m.path))
+  };
+}
+
+/** Gather children and their notes from ledgers + sidecars under `outdir`. */
+export function loadJournal(outdir, { siteDir } = {}) {
+  const skipDir = siteDir ? path.resolve(siteDir) : null;
+  const children = new Map();
+
+  for (const dir of findChildLedgers(outdir)) {
+    const ledger = readJsonFile(path.join(dir, LEDGER_FILE), {});
+    const key = ledger.enrollmentId ?? dir;
+    children.set(key, {
+      key,
+      dir,
+      name: ledger.childName ?? path.basename(dir),
+      ledgerMedia: Object.values(ledger.media ?? {}),
+      notes: new Map(),
+      timeZone: null
+    });
+  }
+
+  for (const file of walkSidecars(outdir, skipDir)) {
+    const data = readJsonFile(file);
+    if (!data) continue;
+    const records = Array.isArray(data.notes) ? data.notes : [data];
+    const sidecarDir = path.dirname(file);
+    for (const record of records) {
+      if (!record?.noteId) continue;
+      const key = record.enrollmentId ?? record.child ?? "unknown";
+      if (!children.has(key)) {
+        children.set(key, { key, dir: sidecarDir, name: record.child ?? "child", ledgerMedia: [], notes: new Map(), timeZone: null });
+      }
+      const child = children.get(key);
+      child.timeZone ??= record.timeZone ?? null;
+      if (!child.notes.has(String(record.noteId))) {
+        child.notes.set(String(record.noteId), noteFromRecord(record, sidecarDir));
+      }
+    }
+  }
+
+  // Ledger media without a sidecar (e.g. --sidecars none): date them by the stamped mtime.
+  for (const child of children.values()) {
+    const known = new Set();
+    for (const note of child.notes.values()) for (const m of note.media) known.add(m);
+    for (const entry of child.ledgerMedia) {
+      const filePath = path.resolve(child.dir, entry.path);
+      if (known.has(filePath)) continue;
+      let mtime;
+      try {
+        mtime = fs.statSync(filePath).mtime;
+      } catch {
+        continue;
+      }
+      const noteId = String(entry.noteId ?? filePath);
+      if (!child.notes.has(noteId)) {
+        const wall = zonedDateParts(mtime, child.timeZone);
+        child.notes.set(noteId, {
+          noteId,
+          type: null,
+          teacher: null,
+          caption: "",
+          tags: [],
+          localTime: formatWallClock("yyyy-MM-dd HH:mm:ss", wall),
+          sortKey: mtime.getTime(),
+          media: []
+        });
+      }
+      child.notes.get(noteId).media.push(filePath);
+      known.add(filePath);
+    }
+  }
+
+  return [...children.values()];
+}
+
+function groupByDay(notes) {
+  const days = new Map();
+  for (const note of notes) {
+    const day = note.localTime?.slice(0, 10) ?? "undated";
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(note);
+  }
+  for (const list of days.values()) list.sort((a, b) => String(a.localTime).localeCompare(String(b.localTime)) || a.sortKey - b.sortKey);
+  return [...days.entries()].sort((a, b) => b[0].localeCompare(a[0]));
+}
+
+function page({ title, crumbs = [], body, styleHref }) {
+  const nav = crumbs.map(([label, link]) => `<a href="${link}">${escapeHtml(label)}</a>`).join(" › ");
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${styleHref}">
+</head>
+<body>
+<header>${nav ? `<nav class="muted">${nav}</nav>` : ""}<h1>${escapeHtml(title)}</h1></header>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+function thumb(pageDir, filePath, { className = "thumb" } = {}) {
+  const link = href(pageDir, filePath);
+  const label = escapeHtml(path.basename(filePath));
+  if (isVideo(filePath)) {
+    return `<a class="${className}" href="${link}" title="${label}"><video src="${link}#t=0.1" preload="metadata" muted playsinline></video><span class="badge">▶ video</span></a>`;
+  }
+  return `<a class="${className}" href="${link}" title="${label}"><img src="${link}" loading="lazy" alt="${label}"></a>`;
+}
+
+function removeStalePages(dir, keep) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch {
+    return;
+  }
+  for (const name of entries) {
+    if (name.endsWith(".html") && !keep.has(name)) fs.rmSync(path.join(dir, name), { force: true });
+  }
+}
+
+/**
+ * Render the journal for `outdir` into `siteDir`. Returns { children, days, media, indexPath }.
+ */
+export function buildGallery({ outdir, siteDir, title = "Learning Genie Journal" }) {
+  const site = path.resolve(siteDir);
+  const children = loadJournal(outdir, { siteDir: site }).filter(c => c.notes.size > 0);
+  const usedSlugs = new Map();
+  const stats = { children: 0, days: 0, media: 0 };
+  const cards = [];
+
+  writeFileAtomic(path.join(site, "style.css"), STYLE);
+
+  for (const child of children.sort((a, b) => a.name.localeCompare(b.name))) {
+    const slug = uniqueSlug(child.name, usedSlugs);
+    const childDir = path.join(site, slug);
+    const days = groupByDay(child.notes.values());
+    const keep = new Set(["index.html"]);
+    const sections = [];
+    let childMedia = 0;
+
+    for (const [day, notes] of days) {
+      const pageName = `${day}.html`;
+      keep.add(pageName);
+      const media = notes.flatMap(n => n.media);
+      childMedia += media.length;
+
+      const noteBlocks = notes.map((note) => {
+        const meta = [note.localTime?.slice(11, 16), note.type, note.teacher].filter(Boolean).map(escapeHtml).join(" · ");
+        const tags = note.tags.length ? `<div class="muted">${note.tags.map(escapeHtml).join(", ")}</div>` : "";
+        const caption = note.caption ? `<p class="caption">${escapeHtml(note.caption)}</p>` : "";
+        const grid = note.media.length ? `<div class="grid">${note.media.map(m => thumb(childDir, m)).join("")}</div>` : "";
+        return `<article class="note"><div class="muted">${meta}</div>${caption}${tags}${grid}</article>`;
+      });
+      writeFileAtomic(path.join(childDir, pageName), page({
+        title: `${child.name} — ${day}`,
+        crumbs: [["All children", "../index.html"], [child.name, "index.html"]],
+        styleHref: "../style.css",
+        body: `<section class="day">${noteBlocks.join("\n")}</section>`
+      }));
+
+      const preview = media.slice(0, 6).map(m => thumb(childDir, m)).join("");
+      const firstCaption = notes.find(n => n.caption)?.caption ?? "";
+      sections.push(`<section class="day"><h2><a href="${encodeURIComponent(pageName)}">${escapeHtml(day)}</a> <span class="muted">· ${notes.length} note(s), ${media.length} file(s)</span></h2>` +
+        (firstCaption ? `<p class="caption">${escapeHtml(firstCaption.length > 280 ? `${firstCaption.slice(0, 280)}…` : firstCaption)}</p>` : "") +
+        (preview ? `<div class="grid">${preview}</div>` : "") +
+        `</section>`);
+    }
+
+    writeFileAtomic(path.join(childDir, "index.html"), page({
+      title: child.name,
+      crumbs: [["All children", "../index.html"]],
+      styleHref: "../style.css",
+      body: sections.join("\n")
+    }));
+    removeStalePages(childDir, keep);
+
+    const cover = days.flatMap(([, notes]) => notes.flatMap(n => n.media)).find(m => !isVideo(m));
+    cards.push(`<a class="card" href="${encodeURIComponent(slug)}/index.html">` +
+      (cover ? `<span class="thumb cover"><img src="${href(site, cover)}" loading="lazy" alt=""></span>` : "") +
+      `<div class="body"><strong>${escapeHtml(child.name)}</strong><div class="muted">${days.length} day(s), ${childMedia} file(s)</div></div></a>`);
+
+    stats.children += 1;
+    stats.days += days.length;
+    stats.media += childMedia;
+  }
+
+  const indexPath = path.join(site, "index.html");
+  writeFileAtomic(indexPath, page({
+    title,
+    styleHref: "style.css",
+    body: cards.length ? `<div class="cards">${cards.join("\n")}</div>` : `<p class="muted">No synced notes found.</p>`
+  }));
+
+  return { ...stats, indexPath };
+}
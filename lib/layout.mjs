@@ -0,0 +1,104 @@
+/**
+ * Output layout templates for downloaded media, e.g.
+ *   {child}/{yyyy}/{MM}/{yyyy-MM-dd}_{HHmmss}_{noteId}_{index}.{ext}
+ *
+ * Named fields:
+ *   {child}     child folder slug (unique per run)
+ *   {childName} enrollment display name
+ *   {noteId}    stable note id
+ *   {mediaId}   media id (falls back to the file stem)
+ *   {type}      note type, e.g. Activity
+ *   {index}     1-based position of the media within its note
+ *   {basename}  file name from the media URL, {name} is the same without extension
+ *   {ext}       lower-case extension from the media URL
+ * Any other token made of y/M/d/H/m/s/S letters is a date pattern rendered from the
+ * note timestamp in the child's local time, so names are stable across reruns.
+ */
+
+import path from "path";
+import { noteWallClock } from "./notes.mjs";
+
+export const DEFAULT_LAYOUT = "{child}/{basename}";
+
+const NAMED_FIELDS = new Set(["child", "childName", "noteId", "mediaId", "type", "index", "basename", "name", "ext"]);
+const DATE_TOKEN = /^[yMdHmsS]+(?:[-_.: ]*[yMdHmsS]+)*$/;
+const DATE_PART = /yyyy|yy|MM|M|dd|d|HH|H|mm|m|ss|s|SSS/g;
+
+export class LayoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LayoutError";
+  }
+}
+
+function sanitizeSegment(value) {
+  const cleaned = String(value ?? "")
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, "-")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^\.+/, "");
+  return cleaned || "_";
+}
+
+export function formatWallClock(pattern, wall) {
+  const pad = (n, len = 2) => String(n).padStart(len, "0");
+  return pattern.replace(DATE_PART, (tok) => {
+    switch (tok) {
+      case "yyyy": return pad(wall.year, 4);
+      case "yy": return pad(wall.year % 100);
+      case "MM": return pad(wall.month);
+      case "M": return String(wall.month);
+      case "dd": return pad(wall.day);
+      case "d": return String(wall.day);
+      case "HH": return pad(wall.hour);
+      case "H": return String(wall.hour);
+      case "mm": return pad(wall.minute);
+      case "m": return String(wall.minute);
+      case "ss": return pad(wall.second);
+      case "s": return String(wall.second);
+      case "SSS": return pad(wall.millisecond, 3);
+      default: return tok;
+    }
+  });
+}
+
+/** Validate `template` and return a renderer taking the fields from `buildLayoutFields`. */
+export function compileLayout(template = DEFAULT_LAYOUT) {
+  const source = String(template ?? "").trim();
+  if (!source) throw new LayoutError("Layout template is empty.");
+  if (path.isAbsolute(source)) throw new LayoutError(`Layout must be relative to --outdir: ${source}`);
+
+  const tokens = [...source.matchAll(/\{([^{}]*)\}/g)].map(m => m[1]);
+  for (const tok of tokens) {
+    if (!NAMED_FIELDS.has(tok) && !DATE_TOKEN.test(tok)) {
+      throw new LayoutError(`Unknown layout field {${tok}}. Known fields: ${[...NAMED_FIELDS].join(", ")} or a date pattern like {yyyy-MM-dd}.`);
+    }
+  }
+
+  return (fields) => {
+    const rendered = source.replace(/\{([^{}]*)\}/g, (_, tok) => {
+      if (NAMED_FIELDS.has(tok)) return sanitizeSegment(fields[tok]);
+      return fields.wall ? sanitizeSegment(formatWallClock(tok, fields.wall)) : "unknown";
+    });
+    const segments = rendered.split("/").filter(seg => seg && seg !== "." && seg !== "..");
+    if (!segments.length) throw new LayoutError(`Layout ${source} rendered an empty path.`);
+    return segments.join("/");
+  };
+}
+
+export function buildLayoutFields({ child, childName, note, noteId, media, mediaIndex, fileName, date, timeZone }) {
+  const ext = path.extname(fileName);
+  const name = path.basename(fileName, ext);
+  return {
+    child,
+    childName: childName ?? child,
+    noteId,
+    mediaId: media?.id ?? media?.mediaId ?? name,
+    type: note?.type ?? "note",
+    index: mediaIndex + 1,
+    basename: fileName,
+    name,
+    ext: ext.slice(1).toLowerCase() || "bin",
+    wall: noteWallClock(note, date, timeZone)
+  };
+}
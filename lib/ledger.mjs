@@ -0,0 +1,104 @@
+/**
+ * Per-child download ledger (`<child dir>/.lg-ledger.json`).
+ * Records every media item already on disk — keyed by media id, or by its public URL
+ * when the API gives no id — with the owning note id, local path, byte size and sha256,
+ * plus `link` ("hardlink" or "symlink") for media shared with another child (dedupe.mjs)
+ * and `uploads` ({ <library>: assetId }) for media uploaded to a photo library (upload.mjs).
+ * `sync` consults it instead of the watermark to decide what still needs downloading.
+ */
+
+import fs from "fs";
+import path from "path";
+import { deriveStableId } from "./notes.mjs";
+import { readJsonFile, writeJsonAtomic } from "./fs-utils.mjs";
+
+export const LEDGER_FILE = ".lg-ledger.json";
+const LEDGER_VERSION = 1;
+
+export function mediaKey(media) {
+  const id = media?.id ?? media?.mediaId ?? media?.media_id;
+  if (id != null && id !== "") return `id:${id}`;
+  const url = media?.public_url;
+  if (!url) return null;
+  try {
+    const u = new URL(url);
+    return `url:${u.origin}${u.pathname}`;
+  } catch {
+    return `url:${String(url).split("?")[0]}`;
+  }
+}
+
+export function loadLedger(childDir, { enrollmentId, childName } = {}) {
+  const file = path.join(childDir, LEDGER_FILE);
+  const data = readJsonFile(file);
+  const media = data && typeof data.media === "object" && data.media ? data.media : {};
+  return {
+    file,
+    dir: childDir,
+    enrollmentId: enrollmentId ?? data?.enrollmentId ?? null,
+    childName: childName ?? data?.childName ?? null,
+    media,
+    dirty: false
+  };
+}
+
+export function saveLedger(ledger) {
+  if (!ledger?.dirty) return;
+  writeJsonAtomic(ledger.file, {
+    version: LEDGER_VERSION,
+    enrollmentId: ledger.enrollmentId,
+    childName: ledger.childName,
+    updatedAt: new Date().toISOString(),
+    media: ledger.media
+  });
+  ledger.dirty = false;
+}
+
+/**
+ * The ledger entry for `key` if its file is still on disk with the recorded size.
+ * Stale entries (file deleted or truncated) are treated as missing.
+ */
+export async function findLedgerEntry(ledger, key) {
+  const entry = key ? ledger?.media[key] : null;
+  if (!entry?.path) return null;
+  try {
+    const st = await fs.promises.stat(path.join(ledger.dir, entry.path));
+    if (st.isFile() && (entry.bytes == null || st.size === entry.bytes)) return entry;
+  } catch {}
+  return null;
+}
+
+/** The key of the entry recorded at `filePath` (absolute), or null when no entry owns it. */
+export function ledgerPathOwner(ledger, filePath) {
+  for (const [key, entry] of Object.entries(ledger?.media ?? {})) {
+    if (entry?.path && path.join(ledger.dir, entry.path) === filePath) return key;
+  }
+  return null;
+}
+
+export function recordLedgerEntry(ledger, key, { note, url, filePath, bytes, sha256, link = null }) {
+  if (!ledger || !key) return null;
+  // A re-downloaded file is still the same asset in any library it was uploaded to.
+  const uploads = ledger.media[key]?.uploads;
+  const entry = {
+    noteId: note ? deriveStableId(note) : null,
+    url,
+    path: path.relative(ledger.dir, filePath).split(path.sep).join("/"),
+    bytes,
+    sha256,
+    ...(link ? { link } : {}),
+    ...(uploads ? { uploads } : {}),
+    recordedAt: new Date().toISOString()
+  };
+  ledger.media[key] = entry;
+  ledger.dirty = true;
+  return entry;
+}
+
+/** Remember that media `key` is asset `assetId` in the photo library `libraryId`. */
+export function recordUpload(ledger, key, libraryId, assetId) {
+  const entry = key ? ledger?.media[key] : null;
+  if (!entry) return;
+  entry.uploads = { ...entry.uploads, [libraryId]: assetId };
+  ledger.dirty = true;
+}
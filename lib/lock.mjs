@@ -0,0 +1,93 @@
+/**
+ * Cross-process run lock so scheduled and manual syncs never overlap.
+ * The lock file holds { pid, hostname, startedAt } and its mtime is refreshed while
+ * held; a lock whose owner is gone (same host, dead pid) or whose heartbeat stopped
+ * is taken over.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { readJsonFile } from "./fs-utils.mjs";
+
+export const LOCK_FILE = ".lg-sync.lock";
+const HEARTBEAT_MS = 30000;
+const STALE_MS = 5 * 60000;
+
+export class LockHeldError extends Error {
+  constructor(file, owner) {
+    const who = owner?.pid ? ` by pid ${owner.pid}${owner.hostname ? ` on ${owner.hostname}` : ""}` : "";
+    const since = owner?.startedAt ? ` since ${owner.startedAt}` : "";
+    super(`Another sync holds ${file}${who}${since}.`);
+    this.name = "LockHeldError";
+    this.file = file;
+    this.owner = owner ?? null;
+  }
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err?.code === "EPERM";
+  }
+}
+
+function isStale(file, owner) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    return true;
+  }
+  if (Date.now() - stat.mtimeMs > STALE_MS) return true;
+  if (!owner?.pid || owner.hostname !== os.hostname()) return false;
+  // Our own pid can only be a leftover from a previous container/boot reusing it.
+  return owner.pid === process.pid || !pidAlive(owner.pid);
+}
+
+/**
+ * Take the lock at `file`; throws LockHeldError when a live owner holds it.
+ * Returns { file, release() }.
+ */
+export function acquireLock(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const owner = { pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    let fd;
+    try {
+      fd = fs.openSync(file, "wx");
+    } catch (err) {
+      if (err?.code !== "EEXIST") throw err;
+      const current = readJsonFile(file);
+      if (attempt > 0 || !isStale(file, current)) throw new LockHeldError(file, current);
+      fs.rmSync(file, { force: true });
+      continue;
+    }
+    fs.writeSync(fd, JSON.stringify(owner));
+    fs.closeSync(fd);
+
+    const heartbeat = setInterval(() => {
+      const now = new Date();
+      try {
+        fs.utimesSync(file, now, now);
+      } catch {}
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    let released = false;
+    return {
+      file,
+      release() {
+        if (released) return;
+        released = true;
+        clearInterval(heartbeat);
+        const current = readJsonFile(file);
+        if (current?.pid === owner.pid && current?.startedAt === owner.startedAt) fs.rmSync(file, { force: true });
+      }
+    };
+  }
+  throw new LockHeldError(file, readJsonFile(file));
+}
@@ -0,0 +1,128 @@
+/**
+ * Leveled logging for the CLI. `text` keeps the familiar console lines (info/debug on
+ * stdout, warn/error on stderr, or everything on stderr when stdout carries data such as
+ * `sync --dry-run json`); `json` writes one object per line with `time`, `level`,
+ * `msg` and context fields such as `command`, `profile`, `enrollment`, `page`, `url`,
+ * `status` and `duration` (ms). An optional log file always gets JSON lines and is
+ * rotated by size (`lg.log` → `lg.log.1` → … `lg.log.<maxFiles>`).
+ */
+
+import fs from "fs";
+import path from "path";
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+export const LOG_LEVELS = Object.keys(LEVELS);
+export const LOG_FORMATS = ["text", "json"];
+export const DEFAULT_LOG_MAX_BYTES = 10 * 1024 * 1024;
+export const DEFAULT_LOG_MAX_FILES = 5;
+
+const config = {
+  level: "info",
+  format: "text",
+  stderrOnly: false,
+  context: {},
+  file: null
+};
+
+function rotatingFile(file, { maxBytes, maxFiles }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let size = 0;
+  try {
+    size = fs.statSync(file).size;
+  } catch {}
+
+  function rotate() {
+    fs.rmSync(`${file}.${maxFiles}`, { force: true });
+    for (let n = maxFiles - 1; n >= 1; n -= 1) {
+      if (fs.existsSync(`${file}.${n}`)) fs.renameSync(`${file}.${n}`, `${file}.${n + 1}`);
+    }
+    if (maxFiles >= 1) fs.renameSync(file, `${file}.1`);
+    else fs.rmSync(file, { force: true });
+    size = 0;
+  }
+
+  return {
+    write(line) {
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxBytes) rotate();
+      fs.appendFileSync(file, line);
+      size += bytes;
+    }
+  };
+}
+
+/**
+ * Apply logging options; call once before logging. Throws on an unknown level or format.
+ * `quiet` is short for level "warn". `stderrOnly` keeps stdout free for command output.
+ * `context` fields are added to every JSON line.
+ */
+export function configureLogging({
+  level = "info",
+  quiet = false,
+  format = "text",
+  file = null,
+  maxBytes = DEFAULT_LOG_MAX_BYTES,
+  maxFiles = DEFAULT_LOG_MAX_FILES,
+  stderrOnly = false,
+  context = {}
+} = {}) {
+  const effective = quiet && LEVELS[level] > LEVELS.warn ? "warn" : level;
+  if (!(effective in LEVELS)) throw new Error(`Invalid log level ${level}; expected one of ${LOG_LEVELS.join(", ")}.`);
+  if (!LOG_FORMATS.includes(format)) throw new Error(`Invalid log format ${format}; expected one of ${LOG_FORMATS.join(", ")}.`);
+  if (!(maxBytes > 0)) throw new Error(`Invalid log file size ${maxBytes}.`);
+  config.level = effective;
+  config.format = format;
+  config.stderrOnly = stderrOnly;
+  config.context = { ...context };
+  config.file = file ? rotatingFile(file, { maxBytes, maxFiles: Math.max(0, Math.floor(maxFiles)) }) : null;
+}
+
+/** Merge fields into the context of every later line (e.g. the current profile). */
+export function setLogContext(fields) {
+  for (const [key, value] of Object.entries(fields)) {
+    if (value == null) delete config.context[key];
+    else config.context[key] = value;
+  }
+}
+
+function jsonLine(level, msg, fields) {
+  return JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    ...config.context,
+    ...fields,
+    // Status emoji help humans scanning a terminal, not log parsers.
+    msg: String(msg).replace(/^[^\p{L}\p{N}[("'`/]+/u, "").trimEnd()
+  }) + "\n";
+}
+
+function emit(level, msg, fields) {
+  if (LEVELS[level] > LEVELS[config.level]) return;
+  const stream = config.stderrOnly || LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+  if (config.format === "json") {
+    stream.write(jsonLine(level, msg, fields));
+  } else {
+    stream.write(`${msg}\n`);
+  }
+  if (config.file) {
+    try {
+      config.file.write(jsonLine(level, msg, fields));
+    } catch (err) {
+      config.file = null;
+      process.stderr.write(`Log file disabled: ${err?.message || err}\n`);
+    }
+  }
+}
+
+/** Logger whose lines all carry `fields`; `child()` adds more. */
+export function createLogger(fields = {}) {
+  return {
+    error: (msg, extra) => emit("error", msg, { ...fields, ...extra }),
+    warn: (msg, extra) => emit("warn", msg, { ...fields, ...extra }),
+    info: (msg, extra) => emit("info", msg, { ...fields, ...extra }),
+    debug: (msg, extra) => emit("debug", msg, { ...fields, ...extra }),
+    child: (more) => createLogger({ ...fields, ...more })
+  };
+}
+
+export const log = createLogger();
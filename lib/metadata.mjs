@@ -0,0 +1,117 @@
+/**
+ * Capture-date/caption stamping for downloaded media.
+ * Mirrors the tag set written by learning-genie-download.sh. exiftool is optional:
+ * without it only the file mtime is set.
+ */
+
+import fs from "fs";
+import path from "path";
+import { execFile as _execFile } from "child_process";
+import { promisify } from "util";
+import { formatZonedIso, zonedDateParts, formatOffset } from "./time.mjs";
+
+const execFile = promisify(_execFile);
+
+const VIDEO_EXTS = new Set(["mp4", "mov", "m4v"]);
+const EXIF_EXTS = new Set(["jpg", "jpeg", "heic"]);
+const XMP_EMBED_EXTS = new Set(["png", "webp"]);
+
+let exiftoolAvailable;
+
+export async function hasExiftool() {
+  if (exiftoolAvailable === undefined) {
+    try {
+      await execFile("exiftool", ["-ver"]);
+      exiftoolAvailable = true;
+    } catch {
+      exiftoolAvailable = false;
+    }
+  }
+  return exiftoolAvailable;
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function buildTimestampFields(date, timeZone) {
+  const p = zonedDateParts(date, timeZone);
+  const offset = formatOffset(p.offsetMinutes);
+  return {
+    exif: `${p.year}:${pad2(p.month)}:${pad2(p.day)} ${pad2(p.hour)}:${pad2(p.minute)}:${pad2(p.second)}`,
+    xmp: formatZonedIso(date, timeZone),
+    iptcDate: `${p.year}:${pad2(p.month)}:${pad2(p.day)}`,
+    iptcTime: `${pad2(p.hour)}:${pad2(p.minute)}:${pad2(p.second)}${offset}`
+  };
+}
+
+/**
+ * Stamp `filePath` with the capture time (a Date) rendered in `timeZone`, plus an optional caption.
+ * Returns a short label describing what was written.
+ */
+export async function stampMedia(filePath, { date, timeZone, caption }) {
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new Error(`Missing capture time for ${path.basename(filePath)}`);
+  }
+
+  if (!(await hasExiftool())) {
+    await fs.promises.utimes(filePath, date, date);
+    return "mtime";
+  }
+
+  const ts = buildTimestampFields(date, timeZone);
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  const common = ["-m", "-P", "-overwrite_original"];
+  const xmpDates = [
+    `-XMP:xmp:CreateDate=${ts.xmp}`,
+    `-XMP:xmp:ModifyDate=${ts.xmp}`,
+    `-XMP:xmp:MetadataDate=${ts.xmp}`,
+    `-XMP-photoshop:DateCreated=${ts.xmp}`
+  ];
+  const xmpCaption = caption ? [`-XMP-dc:Description=${caption}`] : [];
+
+  if (VIDEO_EXTS.has(ext)) {
+    // QuickTime tags are nominally local time (no TZ); do NOT use -api QuickTimeUTC=1 here
+    await execFile("exiftool", [
+      ...common,
+      `-QuickTime:CreateDate=${ts.exif}`,
+      `-QuickTime:ModifyDate=${ts.exif}`,
+      `-QuickTime:TrackCreateDate=${ts.exif}`,
+      `-QuickTime:TrackModifyDate=${ts.exif}`,
+      `-QuickTime:MediaCreateDate=${ts.exif}`,
+      `-QuickTime:MediaModifyDate=${ts.exif}`,
+      ...xmpDates,
+      `-FileModifyDate=${ts.xmp}`,
+      ...(caption ? [`-QuickTime:Comment=${caption}`] : []),
+      ...xmpCaption,
+      filePath
+    ]);
+    return "quicktime";
+  }
+
+  if (EXIF_EXTS.has(ext)) {
+    await execFile("exiftool", [
+      ...common,
+      `-EXIF:DateTimeOriginal=${ts.exif}`,
+      `-EXIF:CreateDate=${ts.exif}`,
+      `-EXIF:ModifyDate=${ts.exif}`,
+      `-IPTC:DateCreated=${ts.iptcDate}`,
+      `-IPTC:TimeCreated=${ts.iptcTime}`,
+      ...xmpDates,
+      `-FileModifyDate=${ts.xmp}`,
+      ...(caption ? [`-EXIF:ImageDescription=${caption}`, `-IPTC:Caption-Abstract=${caption}`] : []),
+      ...xmpCaption,
+      filePath
+    ]);
+    return "exif";
+  }
+
+  const sidecar = ["-o", "%d%f.xmp", ...xmpDates, ...xmpCaption];
+  if (XMP_EMBED_EXTS.has(ext)) {
+    await execFile("exiftool", [...common, ...xmpDates, `-FileModifyDate=${ts.xmp}`, ...xmpCaption, filePath]);
+    await execFile("exiftool", [...common, ...sidecar, filePath]);
+    return "xmp+sidecar";
+  }
+
+  await execFile("exiftool", [...common, ...sidecar, filePath]);
+  await execFile("exiftool", [...common, `-FileModifyDate=${ts.xmp}`, filePath]);
+  return "sidecar+mtime";
+}
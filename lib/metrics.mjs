@@ -0,0 +1,61 @@
+/**
+ * In-process counters and gauges rendered in the Prometheus text exposition format.
+ * `sync` records into the shared registry as it runs; `lg daemon` serves it on /metrics.
+ */
+
+const METRICS = {
+  lg_sync_runs_total: { type: "counter", help: "Sync runs by outcome (ok, error, skipped)." },
+  lg_sync_last_run_timestamp_seconds: { type: "gauge", help: "Unix time the last sync run finished." },
+  lg_sync_last_success_timestamp_seconds: { type: "gauge", help: "Unix time the last fully successful sync run finished." },
+  lg_sync_last_duration_seconds: { type: "gauge", help: "Wall time of the last sync run." },
+  lg_sync_next_run_timestamp_seconds: { type: "gauge", help: "Unix time of the next scheduled sync run." },
+  lg_child_last_success_timestamp_seconds: { type: "gauge", help: "Unix time each child last synced without errors." },
+  lg_child_notes_new_total: { type: "counter", help: "Notes seen for the first time, per child." },
+  lg_child_media_downloaded_total: { type: "counter", help: "Media files downloaded, per child." },
+  lg_child_media_downloaded_bytes_total: { type: "counter", help: "Bytes of media downloaded, per child." },
+  lg_child_media_failed_total: { type: "counter", help: "Media downloads that gave up after retries, per child." },
+  lg_http_retries_total: { type: "counter", help: "Retried HTTP requests by kind (api, download)." },
+  lg_login_refreshes_total: { type: "counter", help: "Browser logins performed to refresh the saved session." }
+};
+
+const values = new Map(Object.keys(METRICS).map(name => [name, new Map()]));
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels ?? {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function series(name, labels) {
+  const bucket = values.get(name);
+  if (!bucket) throw new Error(`Unknown metric ${name}`);
+  const key = labelKey(labels);
+  if (!bucket.has(key)) bucket.set(key, { labels: { ...labels }, value: 0 });
+  return bucket.get(key);
+}
+
+export function incCounter(name, labels = {}, by = 1) {
+  series(name, labels).value += by;
+}
+
+export function setGauge(name, labels = {}, value) {
+  series(name, labels).value = value;
+}
+
+export function metricValue(name, labels = {}) {
+  return values.get(name)?.get(labelKey(labels))?.value;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const [name, { type, help }] of Object.entries(METRICS)) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const { labels, value } of values.get(name).values()) {
+      const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+      lines.push(`${name}${pairs.length ? `{${pairs.join(",")}}` : ""} ${value}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,184 @@
+/**
+ * Mirrors the sync output to remote storage (storage.mjs) for `sync --storage`. The outdir
+ * stays the working copy; after each child its folder (media, sidecars, note records and
+ * ledger) is published file by file under the same relative keys. A manifest at the storage
+ * root (`.lg-storage.json`) keeps every key's size and SHA-256, and is checked against a
+ * listing of the storage when the mirror opens, so reruns upload only new or changed files.
+ * Content already stored under another key (media shared by siblings) is copied on the
+ * server instead of uploaded again. With `prune`, media is deleted locally once stored; its
+ * ledger entry still counts as downloaded as long as the stored copy matches. Dedupe symlinks
+ * left dangling by that are published from their ledger entry by copying the stored target.
+ */
+
+import fs from "fs";
+import path from "path";
+import { hashFile, writeJsonAtomic } from "./fs-utils.mjs";
+
+export const MANIFEST_KEY = ".lg-storage.json";
+const MANIFEST_VERSION = 1;
+// Transfers in progress (.part), dedupe link temps (.link) and atomic-write temps (.tmp).
+const SKIP_FILE = /\.(part|link|tmp)$/;
+
+async function* walkFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) yield* walkFiles(full);
+    else if (!SKIP_FILE.test(entry.name)) yield full;
+  }
+}
+
+/**
+ * Open the mirror of `outdir` on `storage`: lists it and loads the manifest. Nothing is
+ * written until publishDir/publishFile/save are called, so dry runs can use it too.
+ */
+export async function openStorageMirror(storage, { outdir }) {
+  const listing = await storage.list();
+  const files = new Map();
+  const bySha = new Map();
+  let dirty = false;
+  let saving = Promise.resolve();
+
+  const remember = (key, entry) => {
+    files.set(key, entry);
+    if (!bySha.has(entry.sha256)) bySha.set(entry.sha256, key);
+  };
+  const keyFor = (filePath) => path.relative(outdir, filePath).split(path.sep).join("/");
+
+  let manifest = null;
+  try {
+    manifest = JSON.parse((await storage.read(MANIFEST_KEY)) ?? "null");
+  } catch {}
+  for (const [key, entry] of Object.entries(manifest?.files ?? {})) {
+    // Files deleted or replaced on the storage since are uploaded again.
+    if (entry?.sha256 && listing.get(key)?.bytes === entry.bytes) remember(key, entry);
+  }
+
+  async function publish(filePath, key, known) {
+    const st = await fs.promises.stat(filePath).catch(error => {
+      // A dedupe symlink whose target another child pruned: publish it from the ledger's checksum.
+      if (error.code === "ENOENT" && known?.link === "symlink" && known.sha256 && known.bytes != null) return null;
+      throw error;
+    });
+    if (st && !st.isFile()) return null;
+    const bytes = st ? st.size : known.bytes;
+    const sha256 = known?.sha256 && known.bytes === bytes ? known.sha256 : await hashFile(filePath);
+    const current = files.get(key);
+    if (current?.sha256 === sha256 && current.bytes === bytes) return "unchanged";
+    if (!current && listing.get(key)?.bytes === bytes) {
+      // Stored by a run that could not save the manifest: trust the checksum the storage kept.
+      const stored = await storage.head(key);
+      if (stored?.sha256 === sha256) {
+        remember(key, { bytes, sha256 });
+        dirty = true;
+        return "unchanged";
+      }
+    }
+    const twin = bySha.get(sha256);
+    let action = "uploaded";
+    if (twin && twin !== key && files.get(twin)?.sha256 === sha256) {
+      action = await storage.copy(twin, key).then(() => "copied", () => "uploaded");
+    }
+    if (action === "uploaded") {
+      if (!st) throw new Error(`the file ${key} links to is gone and no stored copy of it was found`);
+      await storage.put(key, filePath, { sha256 });
+    }
+    remember(key, { bytes, sha256 });
+    dirty = true;
+    return action;
+  }
+
+  return {
+    storage,
+    /** The entry for media `key` in `ledger` when its file is stored with the recorded content. */
+    findLedgerEntry(ledger, key) {
+      const entry = key ? ledger?.media[key] : null;
+      if (!entry?.path || !entry.sha256) return null;
+      return files.get(keyFor(path.join(ledger.dir, entry.path)))?.sha256 === entry.sha256 ? entry : null;
+    },
+    /** Download the stored copy of `localPath` if the local file is missing. Resolves to true when it did. */
+    async restore(localPath, key = keyFor(localPath)) {
+      if (fs.existsSync(localPath) || !(files.has(key) || listing.has(key))) return false;
+      return storage.get(key, localPath);
+    },
+    /**
+     * Publish every file under `dir`, `concurrency` at a time. Media in `ledger` reuses its
+     * recorded SHA-256 and, with `prune`, is deleted locally once stored. Failures are
+     * collected, not thrown; the manifest is saved at the end.
+     * `onEvent` receives { type: "uploaded"|"copied"|"fail", key, ... }.
+     */
+    async publishDir(dir, { ledger = null, prune = false, concurrency = 4, onEvent = () => {} } = {}) {
+      const summary = { uploaded: [], copied: [], unchanged: 0, pruned: 0, failed: [] };
+      const media = new Map();
+      for (const entry of Object.values(ledger?.media ?? {})) {
+        if (entry?.path) media.set(path.join(ledger.dir, entry.path), entry);
+      }
+      const queue = [];
+      for await (const filePath of walkFiles(dir)) queue.push(filePath);
+
+      const worker = async () => {
+        while (queue.length) {
+          const filePath = queue.shift();
+          const key = keyFor(filePath);
+          const known = media.get(filePath);
+          let action;
+          try {
+            action = await publish(filePath, key, known);
+          } catch (error) {
+            summary.failed.push({ key, error });
+            onEvent({ type: "fail", key, error });
+            continue;
+          }
+          if (action === "unchanged") summary.unchanged += 1;
+          else if (action) {
+            summary[action].push(key);
+            onEvent({ type: action, key });
+          }
+          if (action && prune && known) {
+            await fs.promises.rm(filePath, { force: true });
+            summary.pruned += 1;
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+      try {
+        await this.save();
+      } catch (error) {
+        summary.failed.push({ key: MANIFEST_KEY, error });
+        onEvent({ type: "fail", key: MANIFEST_KEY, error });
+      }
+      return summary;
+    },
+    /** Publish one file, e.g. the sync state, under `key`. Resolves to "uploaded", "copied" or "unchanged". */
+    async publishFile(filePath, key = keyFor(filePath)) {
+      const action = await publish(filePath, key);
+      await this.save();
+      return action;
+    },
+    /** Upload the manifest if anything changed. Saves never overlap. */
+    save() {
+      saving = saving.catch(() => {}).then(async () => {
+        if (!dirty) return;
+        dirty = false;
+        const local = path.join(outdir, MANIFEST_KEY);
+        writeJsonAtomic(local, {
+          version: MANIFEST_VERSION,
+          updatedAt: new Date().toISOString(),
+          files: Object.fromEntries([...files].sort(([a], [b]) => a.localeCompare(b)))
+        });
+        try {
+          await storage.put(MANIFEST_KEY, local, { sha256: await hashFile(local) });
+        } catch (err) {
+          dirty = true;
+          throw err;
+        }
+      });
+      return saving;
+    }
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * MQTT publishing for home automation.
+ * Per child, after each sync:
+ *   <prefix>/<child>/state  retained JSON: last sync, newest note time, new counts, status
+ *   <prefix>/<child>/note   one event message per new note (caption, local file paths)
+ * With discovery enabled, Home Assistant sensor + event entities are announced under
+ * <discoveryPrefix>/… so a device per child appears without YAML.
+ */
+
+export const DEFAULT_MQTT_PREFIX = "learning-genie";
+export const DEFAULT_DISCOVERY_PREFIX = "homeassistant";
+const CONNECT_TIMEOUT_MS = 10000;
+// Without reconnects a qos 1 publish on a dropped connection would wait for its PUBACK forever.
+const PUBLISH_TIMEOUT_MS = 10000;
+
+function topicSegment(value) {
+  return String(value ?? "").replace(/[+#/\s]+/g, "_") || "child";
+}
+
+/** Connect to `url` (mqtt://, mqtts://, ws://, wss://). Credentials may be embedded in the URL. */
+export async function connectMqtt(url, { clientId } = {}) {
+  const { connectAsync } = await import("mqtt");
+  return connectAsync(url, {
+    clientId: clientId ?? `lg-sync-${process.pid}`,
+    connectTimeout: CONNECT_TIMEOUT_MS,
+    reconnectPeriod: 0,
+    clean: true
+  });
+}
+
+function discoveryMessages({ prefix, discoveryPrefix, slug, childName, enrollmentId }) {
+  const base = `${prefix}/${slug}`;
+  const uid = `lg_${topicSegment(enrollmentId ?? slug).toLowerCase()}`;
+  const device = {
+    identifiers: [uid],
+    name: `${childName} (Learning Genie)`,
+    manufacturer: "Learning Genie",
+    model: "learning-genie-sync"
+  };
+  const sensor = (key, name, extra) => ({
+    topic: `${discoveryPrefix}/sensor/${uid}/${key}/config`,
+    payload: {
+      name,
+      unique_id: `${uid}_${key}`,
+      state_topic: `${base}/state`,
+      value_template: `{{ value_json.${key} }}`,
+      device,
+      ...extra
+    }
+  });
+  return [
+    sensor("lastSync", "Last sync", { device_class: "timestamp", entity_category: "diagnostic" }),
+    sensor("newestNoteAt", "Newest note", { device_class: "timestamp" }),
+    sensor("newNotes", "New notes", { state_class: "measurement", json_attributes_topic: `${base}/state` }),
+    sensor("newMedia", "New photos/videos", { state_class: "measurement" }),
+    sensor("status", "Sync status", { entity_category: "diagnostic", icon: "mdi:sync" }),
+    {
+      topic: `${discoveryPrefix}/event/${uid}/note/config`,
+      payload: {
+        name: "New note",
+        unique_id: `${uid}_note`,
+        state_topic: `${base}/note`,
+        event_types: ["note"],
+        device
+      }
+    }
+  ];
+}
+
+/**
+ * Publisher bound to a connected client. Publishing errors are reported via `onError`
+ * and never thrown, so a flaky broker cannot fail the sync. Once the connection is gone,
+ * publishes fail right away; one the broker never acknowledges fails after `publishTimeoutMs`.
+ */
+export function createMqttPublisher(client, {
+  prefix = DEFAULT_MQTT_PREFIX,
+  discovery = false,
+  discoveryPrefix = DEFAULT_DISCOVERY_PREFIX,
+  publishTimeoutMs = PUBLISH_TIMEOUT_MS,
+  onError = () => {}
+} = {}) {
+  const announced = new Set();
+
+  async function publish(topic, payload, { retain = false } = {}) {
+    let timer;
+    try {
+      if (!client.connected) throw new Error("not connected to the MQTT broker");
+      await Promise.race([
+        client.publishAsync(topic, JSON.stringify(payload), { qos: 1, retain }),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`no acknowledgement from the MQTT broker within ${publishTimeoutMs} ms`)), publishTimeoutMs);
+        })
+      ]);
+      return true;
+    } catch (error) {
+      onError({ topic, error });
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    async publishChild({ slug, childName, enrollmentId, state, notes = [] }) {
+      const child = topicSegment(slug);
+      if (discovery && !announced.has(child)) {
+        announced.add(child);
+        for (const { topic, payload } of discoveryMessages({ prefix, discoveryPrefix, slug: child, childName, enrollmentId })) {
+          await publish(topic, payload, { retain: true });
+        }
+      }
+      for (const note of notes) {
+        await publish(`${prefix}/${child}/note`, { event_type: "note", child: childName, enrollmentId, ...note });
+      }
+      await publish(`${prefix}/${child}/state`, { child: childName, enrollmentId, ...state }, { retain: true });
+    },
+    async close() {
+      try {
+        // A lost connection has nothing left to flush; forcing keeps end() from waiting on it.
+        await client.endAsync(!client.connected);
+      } catch {}
+    }
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * Helpers for reading Learning Genie Notes items: timestamps and stable identities.
+ */
+
+import { parseISO } from "date-fns";
+import { isValidTimeZone, zonedDateParts, zonedTimeToUtc } from "./time.mjs";
+
+/**
+ * The note's own time as { date, raw, treatAsUTC }. Local fields are read in `timeZone`
+ * (the enrollment's IANA zone) with the offset in effect on that date; without one, in the
+ * host zone.
+ */
+export function extractTimestamp(item, { timeZone } = {}) {
+  if (!item || typeof item !== "object") return null;
+
+  const directCandidates = [
+    ["create_at", false],
+    ["createAt", false],
+    ["createdAt", false],
+    ["from_date", false],
+    ["timestamp", false],
+    ["to_date", false],
+    ["update_at", false],
+    ["updatedAt", false],
+    ["create_at_utc", true],
+    ["update_at_utc", true],
+    ["createAtUtc", true],
+    ["createdAtUtc", true],
+    ["updatedAtUtc", true],
+    ["updateAtUtc", true]
+  ];
+
+  for (const [key, treatAsUTC] of directCandidates) {
+    if (item[key] == null) continue;
+    const parsed = parseTimestamp(item[key], { treatAsUTC, timeZone });
+    if (parsed) return parsed;
+  }
+
+  if (Array.isArray(item.media)) {
+    for (const media of item.media) {
+      const parsed = extractTimestamp(media, { timeZone });
+      if (parsed) return parsed;
+    }
+  }
+
+  return null;
+}
+
+export function parseTimestamp(raw, { treatAsUTC = false, timeZone } = {}) {
+  const str = String(raw).trim();
+  if (!str) return null;
+
+  const normalized = str.replace(" ", "T");
+  if (!treatAsUTC && isValidTimeZone(timeZone) && !/[zZ]|[+-]\d{2}:?\d{2}$/.test(normalized)) {
+    const d = zonedTimeToUtc(str, timeZone);
+    if (d) return { date: d, raw: str, treatAsUTC };
+  }
+  const attempts = new Set();
+
+  if (treatAsUTC) {
+    if (/[zZ]|[+-]\d{2}/.test(normalized)) {
+      attempts.add(normalized);
+    } else {
+      attempts.add(`${normalized}Z`);
+    }
+  } else {
+    attempts.add(str);
+    attempts.add(normalized);
+  }
+
+  for (const cand of attempts) {
+    const d = new Date(cand);
+    if (!Number.isNaN(d.getTime())) {
+      return { date: d, raw: str, treatAsUTC };
+    }
+  }
+
+  try {
+    const d = parseISO(normalized);
+    if (!Number.isNaN(d.getTime())) {
+      return { date: d, raw: str, treatAsUTC };
+    }
+  } catch {}
+
+  return null;
+}
+
+export function deriveStableId(item) {
+  if (!item || typeof item !== "object") return JSON.stringify(item);
+
+  const direct = item.id
+    ?? item.id_str
+    ?? item.idStr
+    ?? item.noteId
+    ?? item.note_id
+    ?? item.local_id
+    ?? item.localId
+    ?? item.uid
+    ?? item.guid;
+  if (direct) return String(direct);
+
+  if (Array.isArray(item.media)) {
+    for (const media of item.media) {
+      if (media?.id) return String(media.id);
+      if (media?.mediaId) return String(media.mediaId);
+      if (media?.public_url) return `media:${media.public_url}`;
+    }
+  }
+
+  const ts = extractTimestamp(item)?.raw ?? "";
+  const payload = item.payload ?? item.originalPayload ?? item.description ?? "";
+  const mediaKey = Array.isArray(item.media)
+    ? item.media.map(m => m?.public_url ?? m?.id ?? "").join("|")
+    : "";
+  return `${ts}::${payload}::${mediaKey}`;
+}
+
+function parseWallClock(raw) {
+  const m = String(raw ?? "").trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h = "0", mi = "0", s = "0", ms = "0"] = m;
+  return {
+    year: Number(y), month: Number(mo), day: Number(d),
+    hour: Number(h), minute: Number(mi), second: Number(s),
+    millisecond: Number(ms.padEnd(3, "0"))
+  };
+}
+
+/**
+ * Wall-clock parts for the note's capture time. Local API timestamps are used verbatim;
+ * UTC ones are converted to `timeZone`.
+ */
+export function noteWallClock(note, fallbackDate, timeZone) {
+  const ts = extractTimestamp(note, { timeZone });
+  if (ts && !ts.treatAsUTC) {
+    const wall = parseWallClock(ts.raw);
+    if (wall) return wall;
+  }
+  const date = ts?.date ?? fallbackDate;
+  return date ? zonedDateParts(date, timeZone) : null;
+}
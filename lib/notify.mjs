@@ -0,0 +1,142 @@
+/**
+ * Post-sync webhook notifications.
+ * Targets are `[preset=]url`; presets shape the body for common receivers:
+ *   json     generic JSON summary (default)
+ *   slack    Slack incoming webhook  { text }
+ *   discord  Discord webhook         { content, username }
+ *   ntfy     ntfy topic URL          plain-text body + Title/Tags/Priority headers
+ * A custom JSON template file (`{{field}}` placeholders) replaces the preset body.
+ */
+
+import fs from "fs";
+
+export const NOTIFY_PRESETS = ["json", "slack", "discord", "ntfy"];
+export const NOTIFY_WHEN = ["always", "changes", "errors"];
+const NOTIFY_TIMEOUT_MS = 10000;
+
+export class NotifyConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotifyConfigError";
+  }
+}
+
+export function parseNotifyTarget(spec) {
+  const raw = String(spec ?? "").trim();
+  const match = raw.match(/^([a-z]+)=(.+)$/i);
+  const preset = match ? match[1].toLowerCase() : "json";
+  const url = match ? match[2] : raw;
+  if (!NOTIFY_PRESETS.includes(preset)) {
+    throw new NotifyConfigError(`Unknown notify preset "${preset}"; expected one of ${NOTIFY_PRESETS.join(", ")}.`);
+  }
+  try {
+    const u = new URL(url);
+    if (!/^https?:$/.test(u.protocol)) throw new Error("unsupported protocol");
+  } catch {
+    throw new NotifyConfigError(`Invalid notify URL: ${url}`);
+  }
+  return { preset, url };
+}
+
+export function loadNotifyTemplate(file) {
+  return file ? fs.readFileSync(file, "utf8") : null;
+}
+
+// HTTP header values must be Latin-1; ntfy accepts RFC 2047 encoded words for anything else.
+function headerSafe(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+/** One-line human summary used by the chat presets and as `{{text}}` in templates. */
+export function summaryText(summary) {
+  const who = summary.child ?? "Learning Genie sync";
+  if (summary.errors?.length) {
+    return `⚠️ ${who}: sync failed — ${summary.errors.join("; ")}`;
+  }
+  const parts = [`${summary.newNotes} new note(s)`, `${summary.newMedia} new photo/video file(s)`];
+  const caption = summary.newestCaption ? `\n“${summary.newestCaption}”` : "";
+  return `📸 ${who}: ${parts.join(", ")}${caption}`;
+}
+
+function shouldNotify(summary, when) {
+  const hasErrors = summary.errors?.length > 0;
+  if (when === "always") return true;
+  if (when === "errors") return hasErrors;
+  return hasErrors || summary.newNotes > 0 || summary.newMedia > 0;
+}
+
+function templateFields(summary) {
+  return {
+    ...summary,
+    errors: (summary.errors ?? []).join("; "),
+    status: summary.errors?.length ? "error" : "ok",
+    text: summaryText(summary)
+  };
+}
+
+/** Substitute `{{field}}` with JSON-escaped values (the template is JSON). */
+function renderTemplate(template, summary) {
+  const fields = templateFields(summary);
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const value = fields[key];
+    if (value == null) return "";
+    return JSON.stringify(String(value)).slice(1, -1);
+  });
+}
+
+export function renderNotification(preset, summary, template) {
+  if (template) {
+    return { body: renderTemplate(template, summary), headers: { "content-type": "application/json" } };
+  }
+  const text = summaryText(summary);
+  switch (preset) {
+    case "slack":
+      return { body: JSON.stringify({ text }), headers: { "content-type": "application/json" } };
+    case "discord":
+      return { body: JSON.stringify({ content: text.slice(0, 2000), username: "Learning Genie" }), headers: { "content-type": "application/json" } };
+    case "ntfy":
+      return {
+        body: text,
+        headers: {
+          "content-type": "text/plain; charset=utf-8",
+          title: headerSafe(summary.errors?.length
+            ? `Learning Genie sync failed${summary.child ? ` (${summary.child})` : ""}`
+            : `New from daycare${summary.child ? `: ${summary.child}` : ""}`),
+          tags: summary.errors?.length ? "warning" : "camera",
+          priority: summary.errors?.length ? "high" : "default"
+        }
+      };
+    default:
+      return {
+        body: JSON.stringify({
+          event: "lg.sync",
+          status: summary.errors?.length ? "error" : "ok",
+          ...summary
+        }),
+        headers: { "content-type": "application/json" }
+      };
+  }
+}
+
+/**
+ * Send `summary` to every target. Never throws: failures are reported via `onError`
+ * so a broken webhook cannot fail the sync itself.
+ */
+export async function sendNotifications(targets, summary, { when = "changes", template = null, onError = () => {} } = {}) {
+  if (!targets?.length || !shouldNotify(summary, when)) return 0;
+  let sent = 0;
+  await Promise.all(targets.map(async ({ preset, url }) => {
+    const { body, headers } = renderNotification(preset, summary, template);
+    try {
+      const resp = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS) });
+      if (!resp.ok) {
+        const text = await resp.text().catch(() => "");
+        throw new Error(`${resp.status} ${resp.statusText} ${text.slice(0, 200)}`.trim());
+      }
+      sent += 1;
+    } catch (err) {
+      onError({ url, preset, error: err });
+    }
+  }));
+  return sent;
+}
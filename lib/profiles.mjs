@@ -0,0 +1,137 @@
+/**
+ * Named sync profiles from a JSON config file (default `lg.config.json`), for
+ * installations that sync several parent accounts:
+ *
+ *   {
+ *     "defaults": { "outdir": "downloads", "sidecars": "day" },
+ *     "profiles": {
+ *       "alex":     { "credentials": { "userEnv": "ALEX_USER", "passwordCommand": "pass show lg/alex" } },
+ *       "grandma":  { "credentials": { "user": "gma@example.com", "passwordFile": "/run/secrets/gma" },
+ *                     "outdir": "grandma", "enrollment": ["D1435731-…"], "noteCategory": ["report", "activity"] }
+ *     }
+ *   }
+ *
+ * Option keys are the `sync` flags in camelCase (or kebab-case). Relative paths resolve
+ * against the config file's directory. Unless set, each profile gets its own auth and
+ * state files under `profiles/<name>/`.
+ */
+
+import fs from "fs";
+import path from "path";
+import { CREDENTIAL_KEYS } from "./credentials.mjs";
+
+export const DEFAULT_CONFIG_FILE = "lg.config.json";
+
+const PATH_OPTIONS = ["auth", "authKeyFile", "state", "outdir", "outfile", "lock", "script", "notifyTemplate", "uploadKeyFile"];
+const LIST_OPTIONS = ["enrollment", "noteCategory", "notify"];
+const SCALAR_OPTIONS = [
+  "start", "end", "count", "maxPages", "parallel", "rate", "burst", "videoBook", "concurrency",
+  "retries", "dedupe", "layout", "sidecars", "lookbackDays", "rawParams", "notifyOn", "upload", "storage", "pruneLocal",
+  "mqtt", "mqttPrefix", "mqttDiscovery", "mqttDiscoveryPrefix", "keepGoing", "headful"
+];
+const OPTION_KEYS = new Set([...PATH_OPTIONS, ...LIST_OPTIONS, ...SCALAR_OPTIONS]);
+
+export class ProfileConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProfileConfigError";
+  }
+}
+
+function camelCase(key) {
+  return String(key).replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+}
+
+function normalizeOptions(raw, where, baseDir) {
+  if (raw == null) return {};
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new ProfileConfigError(`${where} must be an object.`);
+  }
+  const options = {};
+  for (const [rawKey, value] of Object.entries(raw)) {
+    const key = camelCase(rawKey);
+    if (key === "credentials") continue;
+    if (!OPTION_KEYS.has(key)) {
+      throw new ProfileConfigError(`Unknown option "${rawKey}" in ${where}.`);
+    }
+    if (LIST_OPTIONS.includes(key)) {
+      const list = (Array.isArray(value) ? value : [value]).flatMap(v => String(v).split(",")).map(v => v.trim()).filter(Boolean);
+      options[key] = [...new Set(list)];
+    } else if (PATH_OPTIONS.includes(key)) {
+      options[key] = key === "script" && !String(value).includes("/") ? String(value) : path.resolve(baseDir, String(value));
+    } else {
+      options[key] = typeof value === "number" ? String(value) : value;
+    }
+  }
+  return options;
+}
+
+function normalizeCredentials(raw, where, baseDir) {
+  if (raw == null) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new ProfileConfigError(`${where}.credentials must be an object.`);
+  }
+  for (const key of Object.keys(raw)) {
+    if (!CREDENTIAL_KEYS.includes(key)) {
+      throw new ProfileConfigError(`Unknown credentials key "${key}" in ${where}; expected ${CREDENTIAL_KEYS.join(", ")}.`);
+    }
+  }
+  const credentials = { ...raw };
+  if (credentials.passwordFile) credentials.passwordFile = path.resolve(baseDir, String(credentials.passwordFile));
+  return credentials;
+}
+
+/** Parse and validate the config file. Throws ProfileConfigError when it is missing or malformed. */
+export function loadProfilesConfig(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    const reason = err?.code === "ENOENT" ? "not found" : (err?.message || err);
+    throw new ProfileConfigError(`Cannot read profiles config ${file}: ${reason}`);
+  }
+  const baseDir = path.dirname(path.resolve(file));
+  if (!data?.profiles || typeof data.profiles !== "object" || Array.isArray(data.profiles)) {
+    throw new ProfileConfigError(`${file} needs a "profiles" object.`);
+  }
+  const profiles = new Map();
+  for (const [name, raw] of Object.entries(data.profiles)) {
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new ProfileConfigError(`Invalid profile name "${name}"; use letters, digits, ".", "_" or "-".`);
+    }
+    profiles.set(name, {
+      options: normalizeOptions(raw, `profile "${name}"`, baseDir),
+      credentials: normalizeCredentials(raw?.credentials, `profile "${name}"`, baseDir)
+    });
+  }
+  return {
+    file,
+    baseDir,
+    defaults: normalizeOptions(data.defaults, "defaults", baseDir),
+    defaultCredentials: normalizeCredentials(data.defaults?.credentials, "defaults", baseDir),
+    profiles
+  };
+}
+
+/**
+ * Options and credentials spec for profile `name`: profile settings over config defaults,
+ * plus per-profile auth/state paths when neither sets them.
+ */
+export function resolveProfile(config, name) {
+  const profile = config.profiles.get(name);
+  if (!profile) {
+    const known = [...config.profiles.keys()].join(", ") || "none";
+    throw new ProfileConfigError(`Unknown profile "${name}" in ${config.file} (known: ${known}).`);
+  }
+  const dir = path.join(config.baseDir, "profiles", name);
+  return {
+    name,
+    options: {
+      auth: path.join(dir, "auth.storage.json"),
+      state: path.join(dir, "sync-state.json"),
+      ...config.defaults,
+      ...profile.options
+    },
+    credentials: { ...config.defaultCredentials, ...profile.credentials }
+  };
+}
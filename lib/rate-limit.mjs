@@ -0,0 +1,59 @@
+/**
+ * Shared pacing for Learning Genie API requests. One limiter serves every child synced in
+ * parallel: a token bucket allows `rate` requests per second with bursts of up to `burst`,
+ * and a 429 / Retry-After from the server holds all callers until it has passed.
+ */
+
+export const DEFAULT_RATE = 3; // requests per second, across all children
+export const DEFAULT_BURST = 3;
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+export function createRateLimiter({ rate = DEFAULT_RATE, burst = DEFAULT_BURST } = {}) {
+  if (!(rate > 0)) throw new RangeError(`Invalid rate ${rate}; expected requests per second above 0.`);
+  const capacity = Math.max(1, Math.floor(burst) || 1);
+  let tokens = capacity;
+  let refilledAt = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  async function wait() {
+    for (;;) {
+      const now = Date.now();
+      tokens = Math.min(capacity, tokens + ((now - refilledAt) / 1000) * rate);
+      refilledAt = now;
+      if (pausedUntil > now) {
+        await sleep(pausedUntil - now);
+      } else if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      } else {
+        await sleep(Math.ceil(((1 - tokens) / rate) * 1000));
+      }
+    }
+  }
+
+  return {
+    rate,
+    burst: capacity,
+    /** Resolves when the caller may send one request. Callers are served in arrival order. */
+    acquire() {
+      const turn = queue.then(wait);
+      queue = turn;
+      return turn;
+    },
+    /** Hold every request for `ms`, e.g. for the server's Retry-After. */
+    pauseFor(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    }
+  };
+}
+
+/** Milliseconds to wait for a Retry-After value (delta seconds or an HTTP date), or null. */
+export function retryAfterMs(value, now = Date.now()) {
+  if (value == null || value === "") return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const at = Date.parse(text);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
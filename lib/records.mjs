@@ -0,0 +1,72 @@
+/**
+ * Per-child structured note store (`<child dir>/notes.ndjson`).
+ * One JSON record per line for every synced note — text-only entries such as meals,
+ * naps, diapers, incidents and check-in/out included — upserted by note id so reruns
+ * refresh edited notes without duplicating them. Media paths are relative to the child dir.
+ */
+
+import fs from "fs";
+import path from "path";
+import { buildNoteRecord, groupPlacements, relativeTo } from "./sidecars.mjs";
+import { writeFileAtomic } from "./fs-utils.mjs";
+
+export const NOTES_FILE = "notes.ndjson";
+
+export function readNoteRecords(childDir) {
+  let text;
+  try {
+    text = fs.readFileSync(path.join(childDir, NOTES_FILE), "utf8");
+  } catch {
+    return [];
+  }
+  const records = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {}
+  }
+  return records;
+}
+
+function sortKey(record) {
+  return record.createdAtUtc ?? record.localTime ?? record.createdAt ?? "";
+}
+
+/**
+ * Upsert `items` into the child's NDJSON store.
+ * Returns { added, updated, total, addedRecords } where `addedRecords` are the notes seen for the first time.
+ */
+export function upsertNoteRecords({ items, placements, childDir, childName, enrollmentId, timeZone, categoryOf }) {
+  const existing = new Map(readNoteRecords(childDir).map(r => [String(r.noteId), r]));
+  const mediaByNote = groupPlacements(placements);
+  const addedRecords = [];
+  let updated = 0;
+
+  for (const note of items ?? []) {
+    const record = buildNoteRecord(note, {
+      enrollmentId,
+      childName,
+      timeZone,
+      category: categoryOf?.get(note),
+      mediaFiles: (mediaByNote.get(note) ?? []).map(m => ({ url: m.url, path: relativeTo(childDir, m.path) }))
+    });
+    record.hasMedia = Array.isArray(note?.media) && note.media.some(m => m?.public_url);
+    const key = String(record.noteId);
+    const previous = existing.get(key);
+    // Keep media paths learned on earlier runs when this run did not place the files.
+    if (previous && record.media.length === 0 && previous.media?.length) record.media = previous.media;
+    if (!previous) addedRecords.push(record);
+    else if (JSON.stringify(previous) !== JSON.stringify(record)) updated += 1;
+    else continue;
+    existing.set(key, record);
+  }
+
+  if (addedRecords.length || updated) {
+    const lines = [...existing.values()]
+      .sort((a, b) => String(sortKey(a)).localeCompare(String(sortKey(b))))
+      .map(r => JSON.stringify(r));
+    writeFileAtomic(path.join(childDir, NOTES_FILE), `${lines.join("\n")}\n`);
+  }
+  return { added: addedRecords.length, updated, total: existing.size, addedRecords };
+}
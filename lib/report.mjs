@@ -0,0 +1,85 @@
+/**
+ * Machine-readable run report for `sync --report <file>`: one entry per profile run and,
+ * inside it, one per enrollment with pages, items, media counts, watermarks, timing and
+ * errors. Wrapper scripts and alerting read this instead of the console log.
+ */
+
+import { writeJsonAtomic } from "./fs-utils.mjs";
+
+const VERSION = 1;
+
+export function createRunReport() {
+  return {
+    version: VERSION,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    status: null,
+    exitCode: null,
+    runs: []
+  };
+}
+
+/** Add a run (one per profile, or one for a plain sync) and return it. */
+export function startReportRun(report, { profile = null } = {}) {
+  const run = {
+    profile,
+    startedAt: new Date().toISOString(),
+    durationMs: null,
+    status: null,
+    exitCode: null,
+    error: null,
+    enrollments: []
+  };
+  report.runs.push(run);
+  return run;
+}
+
+export function startReportEnrollment(run, { enrollmentId, child, folder }) {
+  const entry = {
+    enrollmentId,
+    child,
+    folder,
+    status: null,
+    startedAt: new Date().toISOString(),
+    durationMs: null,
+    categories: [],
+    itemsKept: 0,
+    media: { downloaded: 0, skipped: 0, linked: 0, shared: 0, failed: 0, bytes: 0 },
+    // Media stored once for several children: { path, sharedWith, link, match }.
+    shared: [],
+    notes: { added: 0, updated: 0 },
+    // With --upload: { library, album, uploaded, existing, failed }.
+    upload: null,
+    // With --storage: { target, uploaded, copied, unchanged, pruned, failed }.
+    storage: null,
+    errors: []
+  };
+  run.enrollments.push(entry);
+  return entry;
+}
+
+/** `errors` are strings or { message, path?, url? } objects. */
+export function finishReportEntry(entry, { status, exitCode, error, errors = [] } = {}) {
+  entry.status = status;
+  if (exitCode !== undefined) entry.exitCode = exitCode;
+  if (error !== undefined) entry.error = error;
+  entry.durationMs = Date.now() - Date.parse(entry.startedAt);
+  for (const err of errors) {
+    entry.errors.push(typeof err === "string" ? { message: err } : err);
+  }
+}
+
+/** "ok", "partial" (some children failed), "skipped" (run lock held) or "failed". */
+export function reportStatus(exitCode, { partialCode, skippedCode }) {
+  if (exitCode === 0) return "ok";
+  if (exitCode === partialCode) return "partial";
+  if (exitCode === skippedCode) return "skipped";
+  return "failed";
+}
+
+export function writeRunReport(file, report) {
+  report.finishedAt = new Date().toISOString();
+  report.durationMs = Date.parse(report.finishedAt) - Date.parse(report.startedAt);
+  writeJsonAtomic(file, report);
+}
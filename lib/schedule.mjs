@@ -0,0 +1,150 @@
+/**
+ * Five-field cron schedules evaluated in an IANA timezone.
+ *   minute hour day-of-month month day-of-week
+ * Supports `*`, lists, ranges, steps (`0-59/15`, `1-5/2`), month/day names and the
+ * @hourly/@daily/@weekly/@monthly/@yearly macros. Like Vixie cron, when both
+ * day-of-month and day-of-week are restricted a day matching either one fires.
+ * Wall times skipped by a DST jump fire right after the jump; repeated ones fire once.
+ */
+
+import { zonedDateParts } from "./time.mjs";
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *"
+};
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day-of-month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, nameBase: 1 },
+  { name: "day-of-week", min: 0, max: 7, names: DAY_NAMES, nameBase: 0 }
+];
+
+// Search horizon: long enough for "29 2 *" style schedules to hit a leap year.
+const MAX_SEARCH_DAYS = 366 * 8;
+
+export class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CronError";
+  }
+}
+
+function parseValue(token, field, expression) {
+  const lower = token.toLowerCase();
+  const named = field.names?.indexOf(lower) ?? -1;
+  const value = named >= 0 ? named + field.nameBase : (/^\d+$/.test(token) ? Number(token) : NaN);
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new CronError(`Invalid ${field.name} "${token}" in cron expression "${expression}".`);
+  }
+  return value;
+}
+
+function parseField(source, field, expression) {
+  const values = new Set();
+  for (const part of source.split(",")) {
+    const [rangePart, stepPart, extra] = part.split("/");
+    if (extra !== undefined || !rangePart) {
+      throw new CronError(`Invalid ${field.name} "${part}" in cron expression "${expression}".`);
+    }
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new CronError(`Invalid step "${stepPart}" in cron expression "${expression}".`);
+    }
+    let lo;
+    let hi;
+    if (rangePart === "*") {
+      lo = field.min;
+      hi = field.max;
+    } else if (rangePart.includes("-")) {
+      const [a, b] = rangePart.split("-");
+      lo = parseValue(a, field, expression);
+      hi = parseValue(b, field, expression);
+      if (hi < lo) throw new CronError(`Invalid range "${rangePart}" in cron expression "${expression}".`);
+    } else {
+      lo = parseValue(rangePart, field, expression);
+      hi = stepPart === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/** Parse a cron expression; throws CronError when it is malformed. */
+export function parseCron(expression) {
+  const source = String(expression ?? "").trim();
+  const expanded = MACROS[source.toLowerCase()] ?? source;
+  const parts = expanded.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) {
+    throw new CronError(`Cron expression "${source}" must have 5 fields (minute hour day-of-month month day-of-week).`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], source));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    expression: source,
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*"
+  };
+}
+
+function dayMatches(schedule, year, month, day) {
+  if (!schedule.months.has(month)) return false;
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const domOk = schedule.days.has(day);
+  const dowOk = schedule.weekdays.has(weekday);
+  if (schedule.anyDay) return dowOk;
+  if (schedule.anyWeekday) return domOk;
+  return domOk || dowOk;
+}
+
+function sameWall(date, timeZone, wall) {
+  const p = zonedDateParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) === wall;
+}
+
+/** The instant a wall-clock minute maps to: the earlier of two on a fold, shifted past the jump on a gap. */
+function resolveWallMinute(wall, timeZone) {
+  const before = zonedDateParts(new Date(wall - 12 * 3600000), timeZone).offsetMinutes;
+  const after = zonedDateParts(new Date(wall + 12 * 3600000), timeZone).offsetMinutes;
+  const candidates = [...new Set([before, after])]
+    .map(offset => new Date(wall - offset * 60000))
+    .sort((a, b) => a - b);
+  const valid = candidates.find(c => sameWall(c, timeZone, wall));
+  return valid ?? new Date(wall - before * 60000);
+}
+
+/** First instant strictly after `after` at which `schedule` fires in `timeZone`, or null. */
+export function nextCronTime(schedule, after = new Date(), timeZone = "UTC") {
+  const parsed = typeof schedule === "string" ? parseCron(schedule) : schedule;
+  const start = zonedDateParts(after, timeZone);
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    const day = new Date(Date.UTC(start.year, start.month - 1, start.day + i));
+    const y = day.getUTCFullYear();
+    const m = day.getUTCMonth() + 1;
+    const d = day.getUTCDate();
+    if (!dayMatches(parsed, y, m, d)) continue;
+    for (const hour of parsed.hours) {
+      if (i === 0 && hour < start.hour - 1) continue;
+      for (const minute of parsed.minutes) {
+        const at = resolveWallMinute(Date.UTC(y, m - 1, d, hour, minute), timeZone);
+        if (at > after) return at;
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,77 @@
+/**
+ * Auth-aware API session. Wraps the Playwright request context so a 401/403 in the
+ * middle of a run (e.g. the session cookie expiring during a long backfill) triggers one
+ * fresh login, a rebuilt context with fresh headers, and a retry of the same call —
+ * same URL, so pagination resumes from the same `before_time` cursor.
+ */
+
+export class AuthExpiredError extends Error {
+  constructor(url, status) {
+    super(`GET ${url} was rejected with ${status}; the saved session is no longer valid.`);
+    this.name = "AuthExpiredError";
+    this.url = url;
+    this.status = status;
+  }
+}
+
+/** Continuing needs a fresh login, which the caller ruled out (e.g. a dry run). */
+export class LoginRequiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LoginRequiredError";
+  }
+}
+
+/**
+ * `open()` → { request, headers, timeZone? } builds a context from the saved auth state;
+ * `relogin()` refreshes that state. Concurrent failures share a single relogin.
+ */
+export async function openApiSession({ open, relogin, onExpired = () => {} }) {
+  let current = await open();
+  let generation = 0;
+  let refreshing = null;
+
+  async function refresh(err) {
+    if (!refreshing) {
+      refreshing = (async () => {
+        onExpired(err);
+        await current.request.dispose().catch(() => {});
+        await relogin();
+        current = await open();
+        generation += 1;
+      })().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  return {
+    get request() {
+      return current.request;
+    },
+    get headers() {
+      return current.headers;
+    },
+    /** The account's IANA zone, when the saved state records one. */
+    get timeZone() {
+      return current.timeZone ?? null;
+    },
+    /** Run `fn(request)`; on AuthExpiredError log in again (once) and rerun it. */
+    async call(fn) {
+      const started = generation;
+      try {
+        return await fn(current.request);
+      } catch (err) {
+        if (!(err instanceof AuthExpiredError)) throw err;
+        // Another call may already have refreshed the session while this one was in flight.
+        if (generation === started) await refresh(err);
+        return fn(current.request);
+      }
+    },
+    async dispose() {
+      await refreshing?.catch(() => {});
+      await current.request.dispose();
+    }
+  };
+}
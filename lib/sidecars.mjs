@@ -0,0 +1,229 @@
+/**
+ * Caption/metadata sidecars for synced notes.
+ * Each note's teacher, type, payload, tags, domain/measure info and timestamps are
+ * written as `.json` (full record incl. the raw API item) and readable `.md`, either
+ * one pair per note next to its media or one pair per day.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { deriveStableId, extractTimestamp, noteWallClock } from "./notes.mjs";
+import { formatWallClock } from "./layout.mjs";
+import { readJsonFile, writeFileAtomic } from "./fs-utils.mjs";
+
+export const SIDECAR_MODES = ["note", "day", "none"];
+export const DEFAULT_SIDECAR_MODE = "note";
+
+function firstString(...values) {
+  for (const value of values) {
+    if (typeof value === "string" && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+function firstDefined(...values) {
+  for (const value of values) {
+    if (value == null) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    return value;
+  }
+  return null;
+}
+
+function resolveTeacher(note) {
+  const user = note?.create_user ?? note?.createUser ?? note?.author ?? note?.teacher ?? null;
+  return firstString(
+    note?.create_user_name,
+    note?.createUserName,
+    note?.teacher_name,
+    note?.teacherName,
+    note?.author_name,
+    typeof user === "string" ? user : null,
+    user?.display_name,
+    user?.displayName,
+    [user?.first_name, user?.last_name].filter(Boolean).join(" ")
+  );
+}
+
+function labelList(value) {
+  if (value == null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .map(v => (typeof v === "string" ? v : firstString(v?.name, v?.abbreviation, v?.title, v?.display_name)))
+    .filter(Boolean);
+}
+
+const KIND_PATTERNS = [
+  ["check-in", /check[\s_-]*in|sign[\s_-]*in|arriv/i],
+  ["check-out", /check[\s_-]*out|sign[\s_-]*out|depart|pick[\s_-]*up/i],
+  ["nap", /\bnaps?\b|sleep/i],
+  ["meal", /meal|food|\beat|snack|breakfast|lunch|dinner|bottle|milk/i],
+  ["diaper", /diaper|potty|toilet|bathroom/i],
+  ["incident", /incident|injur|accident|ouch/i],
+  ["activity", /activity|learning|observation|portfolio|photo/i]
+];
+
+/** Coarse kind of a note from its type/category (meal, nap, diaper, incident, check-in, …). */
+export function classifyNote(note, category) {
+  const label = [note?.type, note?.sub_type, note?.subType, note?.note_type, category].filter(Boolean).join(" ");
+  for (const [kind, re] of KIND_PATTERNS) {
+    if (re.test(label)) return kind;
+  }
+  return "note";
+}
+
+/** Sidecar-ready summary of one note; `mediaFiles` are absolute paths of its downloaded media. */
+export function buildNoteRecord(note, { enrollmentId, childName, timeZone, category, mediaFiles = [] } = {}) {
+  const ts = extractTimestamp(note, { timeZone });
+  const wall = noteWallClock(note, null, timeZone);
+  return {
+    noteId: deriveStableId(note),
+    enrollmentId: enrollmentId ?? null,
+    child: childName ?? null,
+    type: note?.type ?? null,
+    category: note?.note_category ?? note?.category ?? category ?? null,
+    kind: classifyNote(note, category),
+    teacher: resolveTeacher(note),
+    localTime: wall ? formatWallClock("yyyy-MM-dd HH:mm:ss", wall) : null,
+    timeZone: timeZone ?? null,
+    createdAt: ts?.raw ?? null,
+    createdAtUtc: firstString(note?.create_at_utc, note?.createAtUtc, note?.createdAtUtc) ?? (ts?.treatAsUTC ? ts.raw : null),
+    updatedAt: firstString(note?.update_at, note?.updatedAt, note?.update_at_utc, note?.updateAtUtc),
+    from: firstString(note?.from_date, note?.fromDate, note?.start_time, note?.startTime),
+    to: firstString(note?.to_date, note?.toDate, note?.end_time, note?.endTime),
+    caption: firstString(note?.payload, note?.originalPayload, note?.description) ?? "",
+    tags: labelList(firstDefined(note?.tags, note?.tag_list, note?.tagList)),
+    domains: labelList(firstDefined(note?.domains, note?.domain, note?.domain_list)),
+    measures: labelList(firstDefined(note?.measures, note?.measure, note?.measure_list, note?.levels)),
+    media: mediaFiles,
+    raw: note
+  };
+}
+
+/** Map of note → [{ url, path }] from download placements. */
+export function groupPlacements(placements) {
+  const mediaByNote = new Map();
+  for (const { note, url, path: filePath } of placements ?? []) {
+    if (!mediaByNote.has(note)) mediaByNote.set(note, []);
+    mediaByNote.get(note).push({ url, path: filePath });
+  }
+  return mediaByNote;
+}
+
+export function relativeTo(dir, filePath) {
+  return path.relative(dir, filePath).split(path.sep).join("/");
+}
+
+function recordForFile(record, dir) {
+  return {
+    ...record,
+    media: record.media.map(({ url, path: filePath }) => ({ url, path: relativeTo(dir, filePath) }))
+  };
+}
+
+/**
+ * Notes already in the day file `file` that are not in `records`, with media paths made
+ * absolute again. A run only fetches part of a day, so the rest must be kept.
+ */
+function earlierDayNotes(file, dir, records) {
+  const fresh = new Set(records.map(r => r.noteId));
+  const notes = readJsonFile(file)?.notes;
+  if (!Array.isArray(notes)) return [];
+  return notes
+    .filter(r => r?.noteId != null && !fresh.has(r.noteId))
+    .map(r => ({ ...r, media: (r.media ?? []).map(({ url, path: rel }) => ({ url, path: path.resolve(dir, rel) })) }));
+}
+
+function markdownLink(dir, filePath) {
+  const rel = relativeTo(dir, filePath);
+  return `[${path.basename(filePath)}](${encodeURI(rel)})`;
+}
+
+function renderNoteSection(record, dir, heading) {
+  const lines = [`${heading} ${record.type ?? "Note"}${record.localTime ? ` — ${record.localTime.slice(0, 16)}` : ""}`, ""];
+  const facts = [
+    ["Child", record.child],
+    ["Teacher", record.teacher],
+    ["Category", record.category],
+    ["Tags", record.tags.join(", ")],
+    ["Domains", record.domains.join(", ")],
+    ["Measures", record.measures.join(", ")],
+    ["Note ID", record.noteId]
+  ];
+  for (const [label, value] of facts) {
+    if (value) lines.push(`- **${label}:** ${value}`);
+  }
+  if (record.caption) lines.push("", record.caption.replace(/\r\n?/g, "\n"));
+  if (record.media.length) {
+    lines.push("", "Media:", "");
+    for (const { path: filePath } of record.media) lines.push(`- ${markdownLink(dir, filePath)}`);
+  }
+  lines.push("");
+  return lines.join("\n");
+}
+
+function safeBaseName(noteId) {
+  const cleaned = String(noteId).replace(/[^a-zA-Z0-9._-]+/g, "-").replace(/^[-.]+|-+$/g, "");
+  if (cleaned && cleaned.length <= 64) return cleaned;
+  return crypto.createHash("sha1").update(String(noteId)).digest("hex").slice(0, 16);
+}
+
+/** Write only when the content changed, keeping mtimes stable across reruns. */
+function writeIfChanged(filePath, contents) {
+  try {
+    if (fs.readFileSync(filePath, "utf8") === contents) return false;
+  } catch {}
+  writeFileAtomic(filePath, contents);
+  return true;
+}
+
+/**
+ * Write sidecars for `items`. `placements` are `{ note, url, path }` for every media file
+ * on disk (downloaded or already present); notes without placed media land in `childDir`.
+ * `categoryOf` maps a note to the note_category it was fetched under. Day files are
+ * merged by note id with the notes earlier runs wrote for that day.
+ * Returns the number of files written or updated.
+ */
+export function writeSidecars({ items, placements, mode = DEFAULT_SIDECAR_MODE, childDir, childName, enrollmentId, timeZone, categoryOf }) {
+  if (mode === "none" || !Array.isArray(items) || items.length === 0) return 0;
+
+  const mediaByNote = groupPlacements(placements);
+
+  const entries = items.map((note) => {
+    const mediaFiles = mediaByNote.get(note) ?? [];
+    const record = buildNoteRecord(note, { enrollmentId, childName, timeZone, category: categoryOf?.get(note), mediaFiles });
+    const dir = mediaFiles.length ? path.dirname(mediaFiles[0].path) : childDir;
+    return { record, dir };
+  });
+
+  let written = 0;
+
+  if (mode === "day") {
+    const days = new Map();
+    for (const entry of entries) {
+      const day = entry.record.localTime?.slice(0, 10) ?? "undated";
+      if (!days.has(day)) days.set(day, { dir: entry.dir, records: [] });
+      const bucket = days.get(day);
+      if (bucket.dir === childDir && entry.dir !== childDir) bucket.dir = entry.dir;
+      bucket.records.push(entry.record);
+    }
+    for (const [day, { dir, records: fetched }] of days) {
+      const base = path.join(dir, `${day}.notes`);
+      const records = [...fetched, ...earlierDayNotes(`${base}.json`, dir, fetched)];
+      records.sort((a, b) => String(a.localTime).localeCompare(String(b.localTime)));
+      const json = JSON.stringify({ day, child: childName ?? null, enrollmentId: enrollmentId ?? null, notes: records.map(r => recordForFile(r, dir)) }, null, 2);
+      const md = [`# ${childName ?? "Notes"} — ${day}`, "", ...records.map(r => renderNoteSection(r, dir, "##"))].join("\n");
+      if (writeIfChanged(`${base}.json`, json)) written += 1;
+      if (writeIfChanged(`${base}.md`, md)) written += 1;
+    }
+    return written;
+  }
+
+  for (const { record, dir } of entries) {
+    const base = path.join(dir, `${safeBaseName(record.noteId)}.note`);
+    if (writeIfChanged(`${base}.json`, JSON.stringify(recordForFile(record, dir), null, 2))) written += 1;
+    if (writeIfChanged(`${base}.md`, renderNoteSection(record, dir, "#"))) written += 1;
+  }
+  return written;
+}
@@ -0,0 +1,349 @@
+/**
+ * Remote storage backends for `sync --storage`. Targets are URLs:
+ *   s3://bucket[/prefix]             any S3-compatible service (AWS, MinIO, Backblaze B2, …);
+ *                                    AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY, AWS_REGION and,
+ *                                    for anything but AWS, AWS_ENDPOINT_URL
+ *   webdav+https://host/path         a WebDAV share (Nextcloud, ownCloud, Apache, …); user and
+ *                                    password in the URL or LG_WEBDAV_USER / LG_WEBDAV_PASSWORD
+ * Every backend offers list(prefix), head(key), put(key, file, { sha256 }), copy(from, to),
+ * read(key) and get(key, file) on `/`-separated keys below the target. Uploads carry the file's
+ * SHA-256, which S3 verifies and Nextcloud stores as the file checksum.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+
+const API_TIMEOUT_MS = 30000;
+const TRANSFER_TIMEOUT_MS = 10 * 60000;
+const EMPTY_SHA256 = crypto.createHash("sha256").digest("hex");
+
+export class StorageConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StorageConfigError";
+  }
+}
+
+function trimSlashes(value) {
+  return value.replace(/^\/+|\/+$/g, "");
+}
+
+/** `s3://bucket/prefix` → { kind: "s3", bucket, prefix }; `webdav+https://…` → { kind: "webdav", url, … }. */
+export function parseStorageTarget(spec) {
+  const raw = String(spec ?? "").trim();
+  let u;
+  try {
+    u = new URL(raw);
+  } catch {
+    throw new StorageConfigError(`Invalid storage URL: ${raw}`);
+  }
+  if (u.protocol === "s3:") {
+    if (!u.hostname) throw new StorageConfigError(`Storage URL ${raw} has no bucket.`);
+    return { kind: "s3", bucket: u.hostname, prefix: trimSlashes(decodeURIComponent(u.pathname)) };
+  }
+  const webdav = u.protocol.match(/^webdav\+(https?):$/);
+  if (webdav) {
+    const user = decodeURIComponent(u.username);
+    const password = decodeURIComponent(u.password);
+    return { kind: "webdav", url: `${webdav[1]}://${u.host}${u.pathname.replace(/\/*$/, "/")}`, user, password };
+  }
+  throw new StorageConfigError(`Unsupported storage URL ${raw}; expected s3://bucket/prefix or webdav+https://host/path.`);
+}
+
+// S3 keys and WebDAV paths are percent-encoded per segment, RFC 3986 style.
+function encodeSegment(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split("/").map(encodeSegment).join("/");
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, "&");
+}
+
+/** Inner text of every `<name>` element, ignoring namespace prefixes. */
+function xmlValues(xml, name) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>)`, "g");
+  return [...xml.matchAll(pattern)].map(m => decodeXml(m[1] ?? ""));
+}
+
+async function failure(method, what, resp) {
+  const text = await resp.text().catch(() => "");
+  return new Error(`${method} ${what} failed: ${resp.status} ${resp.statusText} ${text.slice(0, 200)}`.trim());
+}
+
+async function saveBody(resp, filePath) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  await pipeline(Readable.fromWeb(resp.body), fs.createWriteStream(tmp));
+  await fs.promises.rename(tmp, filePath);
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function createS3Storage({ bucket, prefix }, env) {
+  const accessKey = env.AWS_ACCESS_KEY_ID;
+  const secretKey = env.AWS_SECRET_ACCESS_KEY;
+  if (!accessKey || !secretKey) {
+    throw new StorageConfigError("S3 storage needs AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY.");
+  }
+  const sessionToken = env.AWS_SESSION_TOKEN || null;
+  const region = env.AWS_REGION || env.AWS_DEFAULT_REGION || "us-east-1";
+  let endpoint;
+  try {
+    endpoint = new URL(env.AWS_ENDPOINT_URL || `https://s3.${region}.amazonaws.com`);
+  } catch {
+    throw new StorageConfigError(`Invalid AWS_ENDPOINT_URL: ${env.AWS_ENDPOINT_URL}`);
+  }
+  const basePath = endpoint.pathname.replace(/\/+$/, "");
+  const fullKey = (key) => (prefix ? `${prefix}/${key}` : key);
+
+  // Path-style requests signed with AWS Signature Version 4; MinIO and B2 accept them too.
+  async function send(method, key, { query = {}, headers = {}, body, payloadHash = EMPTY_SHA256, timeout = API_TIMEOUT_MS } = {}) {
+    const canonicalUri = `${basePath}/${encodeSegment(bucket)}${key != null ? `/${encodeKey(key)}` : ""}`;
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeSegment(name)}=${encodeSegment(String(query[name]))}`)
+      .join("&");
+    const amzDate = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    const dateStamp = amzDate.slice(0, 8);
+    const signed = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+      host: endpoint.host,
+      "x-amz-date": amzDate,
+      "x-amz-content-sha256": payloadHash,
+      ...(sessionToken ? { "x-amz-security-token": sessionToken } : {})
+    };
+    const names = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      canonicalUri,
+      canonicalQuery,
+      names.map(name => `${name}:${signed[name].trim()}\n`).join(""),
+      names.join(";"),
+      payloadHash
+    ].join("\n");
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretKey}`, dateStamp), region), "s3"), "aws4_request");
+    const signature = hmac(signingKey, stringToSign).toString("hex");
+    // fetch sets Host itself, from the same URL.
+    const { host: _host, ...sent } = signed;
+    return fetch(`${endpoint.origin}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ""}`, {
+      method,
+      headers: {
+        ...sent,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKey}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`
+      },
+      body,
+      signal: AbortSignal.timeout(timeout)
+    });
+  }
+
+  return {
+    kind: "s3",
+    name: `s3://${bucket}${prefix ? `/${prefix}` : ""}`,
+    async list(under = "") {
+      const files = new Map();
+      const strip = fullKey("").length;
+      let token = null;
+      do {
+        const query = { "list-type": 2, prefix: fullKey(under) };
+        if (token) query["continuation-token"] = token;
+        const resp = await send("GET", null, { query });
+        if (!resp.ok) throw await failure("LIST", `s3://${bucket}/${query.prefix}`, resp);
+        const xml = await resp.text();
+        for (const item of xmlValues(xml, "Contents")) {
+          const [key] = xmlValues(item, "Key");
+          const [size] = xmlValues(item, "Size");
+          if (key != null) files.set(key.slice(strip), { bytes: Number(size) });
+        }
+        token = xmlValues(xml, "IsTruncated")[0] === "true" ? xmlValues(xml, "NextContinuationToken")[0] ?? null : null;
+      } while (token);
+      return files;
+    },
+    async head(key) {
+      const resp = await send("HEAD", fullKey(key));
+      if (resp.status === 404) return null;
+      if (!resp.ok) throw await failure("HEAD", key, resp);
+      return {
+        bytes: Number(resp.headers.get("content-length")),
+        sha256: resp.headers.get("x-amz-meta-sha256") || null
+      };
+    },
+    async put(key, filePath, { sha256 }) {
+      const resp = await send("PUT", fullKey(key), {
+        headers: { "content-type": "application/octet-stream", "x-amz-meta-sha256": sha256 },
+        body: await fs.openAsBlob(filePath),
+        payloadHash: sha256,
+        timeout: TRANSFER_TIMEOUT_MS
+      });
+      if (!resp.ok) throw await failure("PUT", key, resp);
+      await resp.body?.cancel().catch(() => {});
+    },
+    async copy(fromKey, toKey) {
+      const resp = await send("PUT", fullKey(toKey), {
+        headers: { "x-amz-copy-source": `/${encodeSegment(bucket)}/${encodeKey(fullKey(fromKey))}` },
+        timeout: TRANSFER_TIMEOUT_MS
+      });
+      // A copy can fail after the 200 status line; the error is then in the body.
+      const text = await resp.text().catch(() => "");
+      if (!resp.ok || /<Error>/.test(text)) {
+        throw new Error(`COPY ${fromKey} → ${toKey} failed: ${resp.status} ${text.slice(0, 200)}`.trim());
+      }
+    },
+    async read(key) {
+      const resp = await send("GET", fullKey(key));
+      if (resp.status === 404) {
+        await resp.body?.cancel().catch(() => {});
+        return null;
+      }
+      if (!resp.ok) throw await failure("GET", key, resp);
+      return resp.text();
+    },
+    async get(key, filePath) {
+      const resp = await send("GET", fullKey(key), { timeout: TRANSFER_TIMEOUT_MS });
+      if (resp.status === 404) {
+        await resp.body?.cancel().catch(() => {});
+        return false;
+      }
+      if (!resp.ok) throw await failure("GET", key, resp);
+      await saveBody(resp, filePath);
+      return true;
+    }
+  };
+}
+
+function createWebDavStorage({ url, user, password }, env) {
+  const base = new URL(url);
+  const login = user || env.LG_WEBDAV_USER;
+  const secret = password || env.LG_WEBDAV_PASSWORD || "";
+  const auth = login ? { authorization: `Basic ${Buffer.from(`${login}:${secret}`).toString("base64")}` } : {};
+  const basePath = decodeURIComponent(base.pathname);
+  const collections = new Set();
+  const urlFor = (key) => new URL(encodeKey(key), base).href;
+
+  function send(method, key, { headers = {}, body, timeout = API_TIMEOUT_MS } = {}) {
+    return fetch(urlFor(key), { method, headers: { ...auth, ...headers }, body, signal: AbortSignal.timeout(timeout) });
+  }
+
+  // WebDAV has no implicit directories: create each missing parent collection in turn.
+  async function ensureParents(key) {
+    const parts = key.split("/").slice(0, -1);
+    for (let i = 1; i <= parts.length; i++) {
+      const dir = `${parts.slice(0, i).join("/")}/`;
+      if (collections.has(dir)) continue;
+      const resp = await send("MKCOL", dir);
+      await resp.body?.cancel().catch(() => {});
+      // 405: it already exists.
+      if (!resp.ok && resp.status !== 405) throw await failure("MKCOL", dir, resp);
+      collections.add(dir);
+    }
+  }
+
+  async function propfind(dir) {
+    const resp = await send("PROPFIND", dir, {
+      headers: { depth: "1", "content-type": "application/xml" },
+      body: "<?xml version=\"1.0\"?><d:propfind xmlns:d=\"DAV:\"><d:prop><d:resourcetype/><d:getcontentlength/></d:prop></d:propfind>"
+    });
+    if (resp.status === 404) {
+      await resp.body?.cancel().catch(() => {});
+      return null;
+    }
+    if (!resp.ok) throw await failure("PROPFIND", dir || "/", resp);
+    return resp.text();
+  }
+
+  return {
+    kind: "webdav",
+    name: `${base.origin}${base.pathname}`,
+    // Depth: infinity is often disabled (Nextcloud), so walk one collection at a time.
+    async list(under = "") {
+      const files = new Map();
+      const pending = [under.replace(/\/*$/, under ? "/" : "")];
+      while (pending.length) {
+        const dir = pending.shift();
+        const xml = await propfind(dir);
+        if (xml == null) continue;
+        collections.add(dir);
+        for (const response of xmlValues(xml, "response")) {
+          const [href] = xmlValues(response, "href");
+          if (!href) continue;
+          const full = decodeURIComponent(new URL(href, base).pathname);
+          if (!full.startsWith(basePath)) continue;
+          const key = full.slice(basePath.length);
+          if (/<(?:[\w-]+:)?collection\b/.test(response)) {
+            const child = key.replace(/\/*$/, "/");
+            if (key && child !== dir) pending.push(child);
+          } else {
+            files.set(key, { bytes: Number(xmlValues(response, "getcontentlength")[0]) });
+          }
+        }
+      }
+      return files;
+    },
+    async head(key) {
+      const resp = await send("HEAD", key);
+      if (resp.status === 404) return null;
+      if (!resp.ok) throw await failure("HEAD", key, resp);
+      const checksum = resp.headers.get("oc-checksum")?.match(/SHA256:([0-9a-f]{64})/i);
+      return { bytes: Number(resp.headers.get("content-length")), sha256: checksum?.[1].toLowerCase() ?? null };
+    },
+    async put(key, filePath, { sha256 }) {
+      await ensureParents(key);
+      const resp = await send("PUT", key, {
+        headers: { "content-type": "application/octet-stream", "oc-checksum": `SHA256:${sha256}` },
+        body: await fs.openAsBlob(filePath),
+        timeout: TRANSFER_TIMEOUT_MS
+      });
+      if (!resp.ok) throw await failure("PUT", key, resp);
+      await resp.body?.cancel().catch(() => {});
+    },
+    async copy(fromKey, toKey) {
+      await ensureParents(toKey);
+      const resp = await send("COPY", fromKey, { headers: { destination: urlFor(toKey), overwrite: "T" }, timeout: TRANSFER_TIMEOUT_MS });
+      if (!resp.ok) throw await failure("COPY", `${fromKey} → ${toKey}`, resp);
+      await resp.body?.cancel().catch(() => {});
+    },
+    async read(key) {
+      const resp = await send("GET", key);
+      if (resp.status === 404) {
+        await resp.body?.cancel().catch(() => {});
+        return null;
+      }
+      if (!resp.ok) throw await failure("GET", key, resp);
+      return resp.text();
+    },
+    async get(key, filePath) {
+      const resp = await send("GET", key, { timeout: TRANSFER_TIMEOUT_MS });
+      if (resp.status === 404) {
+        await resp.body?.cancel().catch(() => {});
+        return false;
+      }
+      if (!resp.ok) throw await failure("GET", key, resp);
+      await saveBody(resp, filePath);
+      return true;
+    }
+  };
+}
+
+/** Backend for a parsed target: { kind, name, list(), head(), put(), copy(), read(), get() }. */
+export function openStorage(target, { env = process.env } = {}) {
+  return target.kind === "s3" ? createS3Storage(target, env) : createWebDavStorage(target, env);
+}
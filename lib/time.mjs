@@ -0,0 +1,138 @@
+/**
+ * Timezone helpers built on Intl so wall-clock values can be computed for an
+ * arbitrary IANA zone without depending on the host TZ.
+ */
+
+const formatterCache = new Map();
+
+function getZoneFormatter(timeZone) {
+  let dtf = formatterCache.get(timeZone);
+  if (!dtf) {
+    dtf = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    });
+    formatterCache.set(timeZone, dtf);
+  }
+  return dtf;
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    getZoneFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** The host's IANA zone, used wherever an enrollment's own zone is unknown. */
+export function hostTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Wall-clock parts of `date` in `timeZone`, plus the UTC offset (minutes) in effect at that instant.
+ * Falls back to UTC when no zone is given.
+ */
+export function zonedDateParts(date, timeZone) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : "UTC";
+  const parts = {};
+  for (const p of getZoneFormatter(zone).formatToParts(date)) {
+    if (p.type !== "literal") parts[p.type] = Number(p.value);
+  }
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: date.getTime() - wholeSeconds,
+    offsetMinutes: Math.round((asUtc - wholeSeconds) / 60000)
+  };
+}
+
+/**
+ * Interpret a wall-clock string ("YYYY-MM-DD HH:mm:ss[.SSS]") as local time in `timeZone`.
+ * Returns null when the string cannot be parsed.
+ */
+export function zonedTimeToUtc(value, timeZone) {
+  const match = String(value ?? "").trim().match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/
+  );
+  if (!match) return null;
+  const [, y, mo, d, h = "0", mi = "0", s = "0", ms = "0"] = match;
+  const wall = Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s), Number(ms.padEnd(3, "0")));
+  if (Number.isNaN(wall)) return null;
+
+  // Two passes settle on the offset in effect at the target instant (handles DST edges).
+  let guess = wall;
+  for (let i = 0; i < 2; i++) {
+    const { offsetMinutes } = zonedDateParts(new Date(guess), timeZone);
+    guess = wall - offsetMinutes * 60000;
+  }
+  return new Date(guess);
+}
+
+/**
+ * Parse a date or date-time. Strings with `Z` or a UTC offset are absolute; bare wall-clock
+ * values ("2025-09-30", "2025-09-30 08:15:00") are read in `timeZone` with the offset in
+ * effect on that date. Returns null when the value cannot be parsed.
+ */
+export function parseInZone(value, timeZone) {
+  const str = String(value ?? "").trim();
+  if (/(?:[zZ]|[+-]\d{2}:?\d{2})$/.test(str) && /\d[T ]\d/.test(str)) {
+    const date = new Date(str.replace(" ", "T"));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return zonedTimeToUtc(str, timeZone);
+}
+
+function wallString({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }) {
+  // Date.UTC normalises overflowing days and months (Jan 32 → Feb 1).
+  const d = new Date(Date.UTC(year, month - 1, day, hour, minute, second, millisecond));
+  return d.toISOString().slice(0, 23).replace("T", " ");
+}
+
+/** Midnight in `timeZone` that starts the calendar day after `date`'s day there. */
+export function startOfNextDay(date, timeZone) {
+  const p = zonedDateParts(date, timeZone);
+  return zonedTimeToUtc(wallString({ year: p.year, month: p.month, day: p.day + 1 }), timeZone);
+}
+
+/** The same wall-clock time `days` calendar days later (or earlier) in `timeZone`, across DST changes. */
+export function addDaysInZone(date, days, timeZone) {
+  const p = zonedDateParts(date, timeZone);
+  return zonedTimeToUtc(wallString({ ...p, day: p.day + days }), timeZone);
+}
+
+/** "YYYY-MM-DD HH:mm:ss.SSS" wall clock of `date` in `timeZone`. */
+export function formatWallTime(date, timeZone) {
+  return wallString(zonedDateParts(date, timeZone));
+}
+
+export function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+  const hh = String(Math.floor(abs / 60)).padStart(2, "0");
+  const mm = String(abs % 60).padStart(2, "0");
+  return `${sign}${hh}:${mm}`;
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/** "YYYY-MM-DDTHH:mm:ss±HH:MM" in the given zone. */
+export function formatZonedIso(date, timeZone) {
+  const p = zonedDateParts(date, timeZone);
+  return `${p.year}-${pad2(p.month)}-${pad2(p.day)}T${pad2(p.hour)}:${pad2(p.minute)}:${pad2(p.second)}${formatOffset(p.offsetMinutes)}`;
+}
@@ -0,0 +1,281 @@
+/**
+ * Uploads synced media into a self-hosted photo library, one album per child.
+ * Targets are `[kind=]url`:
+ *   immich      Immich API (default); the key is an Immich API key with asset and album access
+ *   photoprism  PhotoPrism upload + import; the key is an app password or access token
+ * Each file gets the note's capture time and caption. Asset ids are remembered per library
+ * in the child's ledger, so nothing is uploaded twice, and files the library already holds
+ * (matched by checksum) are adopted instead of being stored again.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { hashFile } from "./fs-utils.mjs";
+import { formatWallTime, formatZonedIso } from "./time.mjs";
+import { recordUpload } from "./ledger.mjs";
+import { extractTimestamp } from "./notes.mjs";
+import { readNoteRecords } from "./records.mjs";
+
+export const UPLOAD_KINDS = ["immich", "photoprism"];
+const API_TIMEOUT_MS = 30000;
+const UPLOAD_TIMEOUT_MS = 10 * 60000;
+const DEVICE_ID = "learning-genie-sync";
+
+export class UploadConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UploadConfigError";
+  }
+}
+
+export function parseUploadTarget(spec) {
+  const raw = String(spec ?? "").trim();
+  const match = raw.match(/^([a-z]+)=(.+)$/i);
+  const kind = match ? match[1].toLowerCase() : "immich";
+  const url = match ? match[2] : raw;
+  if (!UPLOAD_KINDS.includes(kind)) {
+    throw new UploadConfigError(`Unknown upload target "${kind}"; expected one of ${UPLOAD_KINDS.join(", ")}.`);
+  }
+  let u;
+  try {
+    u = new URL(url);
+    if (!/^https?:$/.test(u.protocol)) throw new Error("unsupported protocol");
+  } catch {
+    throw new UploadConfigError(`Invalid upload URL: ${url}`);
+  }
+  const base = `${u.origin}${u.pathname.replace(/\/+$/, "")}`;
+  return { kind, url: base, id: `${kind}:${base}` };
+}
+
+/** The library's API key: `keyFile`, else LG_UPLOAD_KEY_FILE or LG_UPLOAD_KEY. */
+export function resolveUploadKey({ keyFile, env = process.env } = {}) {
+  const file = keyFile ?? env.LG_UPLOAD_KEY_FILE;
+  if (file) {
+    try {
+      const key = fs.readFileSync(file, "utf8").trim();
+      if (key) return key;
+    } catch (err) {
+      throw new UploadConfigError(`Cannot read upload key file ${file}: ${err?.message || err}`);
+    }
+    throw new UploadConfigError(`Upload key file ${file} is empty.`);
+  }
+  const key = env.LG_UPLOAD_KEY?.trim();
+  if (!key) throw new UploadConfigError("Uploading needs an API key: set LG_UPLOAD_KEY or LG_UPLOAD_KEY_FILE, or pass --upload-key-file.");
+  return key;
+}
+
+async function callApi(baseUrl, headers, method, pathname, { json, form, allow = [] } = {}) {
+  const resp = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers: json ? { ...headers, "content-type": "application/json" } : headers,
+    body: json ? JSON.stringify(json) : form,
+    signal: AbortSignal.timeout(form ? UPLOAD_TIMEOUT_MS : API_TIMEOUT_MS)
+  });
+  const text = await resp.text().catch(() => "");
+  if (!resp.ok && !allow.includes(resp.status)) {
+    throw new Error(`${method} ${pathname} failed: ${resp.status} ${resp.statusText} ${text.slice(0, 200)}`.trim());
+  }
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {}
+  return { status: resp.status, data };
+}
+
+function createImmichLibrary({ url, id, apiKey }) {
+  const headers = { accept: "application/json", "x-api-key": apiKey };
+  const albums = new Map();
+  const call = (...args) => callApi(url, headers, ...args);
+
+  return {
+    id,
+    url,
+    name: "Immich",
+    async check() {
+      await call("GET", "/api/users/me");
+    },
+    async upload({ filePath, deviceAssetId, date, timeZone, description }) {
+      const st = await fs.promises.stat(filePath);
+      const form = new FormData();
+      form.set("deviceAssetId", deviceAssetId);
+      form.set("deviceId", DEVICE_ID);
+      form.set("fileCreatedAt", (date ?? st.mtime).toISOString());
+      form.set("fileModifiedAt", st.mtime.toISOString());
+      form.set("assetData", await fs.openAsBlob(filePath), path.basename(filePath));
+      // 201 for a new asset; 200 with status "duplicate" when Immich already has the file.
+      const { data } = await call("POST", "/api/assets", { form });
+      if (!data?.id) throw new Error(`Immich returned no asset id for ${path.basename(filePath)}`);
+      const meta = {};
+      if (date) meta.dateTimeOriginal = formatZonedIso(date, timeZone);
+      if (description) meta.description = description;
+      if (Object.keys(meta).length) await call("PUT", `/api/assets/${data.id}`, { json: meta });
+      return { assetId: data.id, duplicate: data.status === "duplicate" };
+    },
+    async addToAlbum(name, assetIds) {
+      let albumId = albums.get(name);
+      if (!albumId) {
+        const { data } = await call("GET", "/api/albums");
+        albumId = (Array.isArray(data) ? data : []).find(a => a.albumName === name)?.id;
+        if (!albumId) {
+          const created = await call("POST", "/api/albums", { json: { albumName: name, assetIds } });
+          albums.set(name, created.data?.id);
+          return;
+        }
+        albums.set(name, albumId);
+      }
+      // Assets already in the album come back as per-id "duplicate" errors, which is fine.
+      await call("PUT", `/api/albums/${albumId}/assets`, { json: { ids: assetIds } });
+    }
+  };
+}
+
+function createPhotoPrismLibrary({ url, id, apiKey }) {
+  const headers = { accept: "application/json", authorization: `Bearer ${apiKey}` };
+  const albums = new Map();
+  const call = (...args) => callApi(url, headers, ...args);
+  let userUid = null;
+
+  // PhotoPrism looks files up by their SHA-1.
+  async function findPhoto(sha1) {
+    const { status, data } = await call("GET", `/api/v1/files/${sha1}`, { allow: [404] });
+    return status === 404 ? null : data?.PhotoUID ?? null;
+  }
+
+  return {
+    id,
+    url,
+    name: "PhotoPrism",
+    async check() {
+      const { data } = await call("GET", "/api/v1/session");
+      userUid = data?.user?.UID ?? data?.User?.UID ?? null;
+      if (!userUid) throw new Error("the PhotoPrism session has no user; use an app password or a user access token");
+    },
+    async upload({ filePath, date, timeZone, description }) {
+      const sha1 = await hashFile(filePath, "sha1");
+      let photoUid = await findPhoto(sha1);
+      const duplicate = Boolean(photoUid);
+      if (!photoUid) {
+        const token = crypto.randomBytes(8).toString("hex");
+        const form = new FormData();
+        form.append("files", await fs.openAsBlob(filePath), path.basename(filePath));
+        await call("POST", `/api/v1/users/${userUid}/upload/${token}`, { form });
+        await call("PUT", `/api/v1/users/${userUid}/upload/${token}`, { json: { albums: [] } });
+        photoUid = await findPhoto(sha1);
+        if (!photoUid) throw new Error(`PhotoPrism did not import ${path.basename(filePath)}`);
+      }
+      const meta = {};
+      if (date) {
+        Object.assign(meta, {
+          TakenAt: date.toISOString(),
+          TakenAtLocal: `${formatWallTime(date, timeZone).replace(" ", "T").slice(0, 19)}Z`,
+          TakenSrc: "manual",
+          ...(timeZone ? { TimeZone: timeZone } : {})
+        });
+      }
+      if (description) Object.assign(meta, { Description: description, DescriptionSrc: "manual" });
+      if (Object.keys(meta).length) await call("PUT", `/api/v1/photos/${photoUid}`, { json: meta });
+      return { assetId: photoUid, duplicate };
+    },
+    async addToAlbum(name, photoUids) {
+      let albumUid = albums.get(name);
+      if (!albumUid) {
+        const { data } = await call("GET", `/api/v1/albums?count=1000&type=album&q=${encodeURIComponent(name)}`);
+        albumUid = (Array.isArray(data) ? data : []).find(a => a.Title === name)?.UID;
+        albumUid ??= (await call("POST", "/api/v1/albums", { json: { Title: name } })).data?.UID;
+        if (!albumUid) throw new Error(`PhotoPrism returned no album id for "${name}"`);
+        albums.set(name, albumUid);
+      }
+      await call("POST", `/api/v1/albums/${albumUid}/photos`, { json: { photos: photoUids } });
+    }
+  };
+}
+
+/** Library client for a parsed target: { id, url, name, check(), upload(file), addToAlbum(name, ids) }. */
+export function createPhotoLibrary(target, { apiKey }) {
+  return target.kind === "photoprism"
+    ? createPhotoPrismLibrary({ ...target, apiKey })
+    : createImmichLibrary({ ...target, apiKey });
+}
+
+function noteDescription(note) {
+  for (const value of [note?.payload, note?.originalPayload, note?.description]) {
+    if (typeof value === "string" && value.trim()) return value.trim();
+  }
+  return "";
+}
+
+// Ledger media on disk that this run did not place and `libraryId` has no asset id for:
+// files downloaded before the library was configured, outside this run's window, or left
+// over from a failed run. Dated and captioned from the child's note records.
+async function unplacedMedia(ledger, libraryId, placedKeys, timeZone) {
+  const pending = Object.entries(ledger?.media ?? {})
+    .filter(([key, entry]) => entry?.path && !entry.uploads?.[libraryId] && !placedKeys.has(key));
+  if (!pending.length) return [];
+  const notes = new Map(readNoteRecords(ledger.dir).map(r => [String(r.noteId), r]));
+  const items = [];
+  for (const [key, entry] of pending) {
+    const filePath = path.join(ledger.dir, entry.path);
+    // Pruned after publishing to storage, or deleted: nothing to upload.
+    const st = await fs.promises.stat(filePath).catch(() => null);
+    if (!st?.isFile()) continue;
+    const record = notes.get(String(entry.noteId));
+    items.push({
+      job: {
+        key,
+        relPath: path.posix.join(path.basename(ledger.dir), entry.path),
+        date: extractTimestamp(record?.raw, { timeZone: record?.timeZone ?? timeZone })?.date ?? null,
+        note: record?.raw ?? null
+      },
+      path: filePath
+    });
+  }
+  return items;
+}
+
+/**
+ * Upload one child's media that `ledger` has no asset id for in `library`, then add it to
+ * `album`: this run's `placements` ({ job, path }, as from startDownloads) and every other
+ * ledger entry still on disk. Ids are recorded in the ledger only once the album accepted
+ * them, so a failed run is simply retried; the library recognises files it already has.
+ * Failures are collected, not thrown.
+ * `onEvent` receives { type: "uploaded"|"exists"|"fail"|"album-failed", ... }.
+ */
+export async function uploadChildMedia(library, { placements, ledger, album, timeZone, onEvent = () => {} }) {
+  const summary = { uploaded: [], existing: [], failed: [] };
+  const added = [];
+  const placedKeys = new Set(placements.map(p => p.job.key).filter(Boolean));
+  const backlog = await unplacedMedia(ledger, library.id, placedKeys, timeZone);
+  for (const { job, path: filePath } of [...placements, ...backlog]) {
+    const entry = job.key ? ledger?.media[job.key] : null;
+    if (!entry || entry.uploads?.[library.id]) continue;
+    try {
+      const { assetId, duplicate } = await library.upload({
+        filePath,
+        deviceAssetId: job.key,
+        date: job.date,
+        timeZone,
+        description: noteDescription(job.note)
+      });
+      added.push({ job, path: filePath, assetId, duplicate });
+      onEvent({ type: duplicate ? "exists" : "uploaded", job, path: filePath, assetId });
+    } catch (error) {
+      summary.failed.push({ job, path: filePath, error });
+      onEvent({ type: "fail", job, path: filePath, error });
+    }
+  }
+  if (!added.length) return summary;
+
+  try {
+    await library.addToAlbum(album, added.map(a => a.assetId));
+  } catch (error) {
+    for (const item of added) summary.failed.push({ ...item, error });
+    onEvent({ type: "album-failed", album, error });
+    return summary;
+  }
+  for (const item of added) {
+    recordUpload(ledger, item.job.key, library.id, item.assetId);
+    (item.duplicate ? summary.existing : summary.uploaded).push(item);
+  }
+  return summary;
+}
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openCheckpoints } from "../lib/checkpoint.mjs";
+
+test("a walk the page cap stopped survives clear() for the next run", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lg-checkpoint-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const statePath = path.join(dir, "state.json");
+  const range = { start: new Date("2025-08-01T00:00:00Z"), end: null };
+
+  const checkpoints = openCheckpoints(statePath);
+  const capped = checkpoints.begin("E1", "report", range);
+  checkpoints.recordPage(capped, { items: [{ id: "n3" }], nextBefore: "2025-09-02 10:00:00.000" });
+  checkpoints.hold(capped);
+  const done = checkpoints.begin("E1", "attendance", range);
+  checkpoints.recordPage(done, { items: [{ id: "a1" }], nextBefore: null });
+  checkpoints.clear("E1");
+
+  const reopened = openCheckpoints(statePath);
+  const entry = reopened.find("E1", "report");
+  assert.equal(entry.complete, false);
+  assert.equal(entry.capped, true);
+  assert.equal(entry.beforeTime, "2025-09-02 10:00:00.000");
+  assert.deepEqual(reopened.loadItems(entry), [{ id: "n3" }]);
+  assert.equal(reopened.find("E1", "attendance"), null);
+});
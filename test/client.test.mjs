@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { LearningGenieClient, LoginRequiredError } from "../lib/client.mjs";
+import { loadAuthStateFile } from "../lib/api.mjs";
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lg-client-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("a read-only client reports a needed login instead of logging in", async (t) => {
+  const authPath = path.join(tempDir(t), "auth.storage.json");
+  const client = new LearningGenieClient({
+    authPath,
+    authSecret: null,
+    credentials: { username: "parent@example.com", password: "secret" },
+    readOnly: true
+  });
+  await assert.rejects(client.ensureAuth(), LoginRequiredError);
+  assert.equal(fs.existsSync(authPath), false);
+});
+
+test("reading the auth state read-only leaves a plain-text file unencrypted", (t) => {
+  const authPath = path.join(tempDir(t), "auth.storage.json");
+  const state = JSON.stringify({ cookies: [], origins: [] });
+  fs.writeFileSync(authPath, state);
+  loadAuthStateFile(authPath, { secret: Buffer.from("passphrase"), source: "passphrase" }, { readOnly: true });
+  assert.equal(fs.readFileSync(authPath, "utf8"), state);
+});
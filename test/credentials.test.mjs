@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCredentialSource, CredentialsError } from "../lib/credentials.mjs";
+
+const env = { LG_USER: "global@example.com", LG_PASS: "global-secret", ALEX_PASS: "alex-secret" };
+
+test("the global LG_USER / LG_PASS are used outside profiles", async () => {
+  const source = createCredentialSource({}, { env });
+  assert.equal(source.configured, true);
+  assert.deepEqual(await source.resolve(), { username: "global@example.com", password: "global-secret" });
+});
+
+test("a profile without credentials does not fall back to LG_USER / LG_PASS", async () => {
+  const source = createCredentialSource({}, { env, globalEnv: false });
+  assert.equal(source.configured, false);
+  await assert.rejects(source.resolve(), (err) => err instanceof CredentialsError && /profile config/.test(err.message));
+});
+
+test("a profile with half its credentials does not borrow the other half", async () => {
+  const source = createCredentialSource({ passwordEnv: "ALEX_PASS" }, { env, globalEnv: false });
+  assert.equal(source.configured, false);
+  await assert.rejects(source.resolve(), /Missing username/);
+});
+
+test("a profile can name the env vars it uses", async () => {
+  const source = createCredentialSource({ userEnv: "LG_USER", passwordEnv: "ALEX_PASS" }, { env, globalEnv: false });
+  assert.deepEqual(await source.resolve(), { username: "global@example.com", password: "alex-secret" });
+});
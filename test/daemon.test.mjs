@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { startScheduler } from "../lib/daemon.mjs";
+import { CronError, parseCron } from "../lib/schedule.mjs";
+
+const CLI = fileURLToPath(new URL("../lg.mjs", import.meta.url));
+
+test("a schedule that never fires is rejected before any run", () => {
+  let runs = 0;
+  assert.throws(
+    () => startScheduler({ schedule: parseCron("0 0 30 2 *"), timeZone: "UTC", job: async () => { runs++; } }),
+    CronError
+  );
+  assert.equal(runs, 0);
+});
+
+test("lg daemon exits with a clear error when the schedule never fires", { timeout: 30000 }, async () => {
+  const child = spawn(process.execPath, [CLI, "daemon", "--schedule", "0 0 30 2 *", "--tz", "UTC"], {
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let output = "";
+  child.stdout.on("data", chunk => { output += chunk; });
+  child.stderr.on("data", chunk => { output += chunk; });
+  const code = await new Promise(resolve => child.on("exit", resolve));
+  assert.equal(code, 4);
+  assert.match(output, /never fires/);
+  assert.doesNotMatch(output, /Scheduled sync starting/);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { createMediaJobCollector, startDownloads } from "../lib/download.mjs";
+import { loadLedger } from "../lib/ledger.mjs";
+
+async function withServer(body, fn) {
+  const server = http.createServer((req, res) => res.end(body));
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+}
+
+function tempOutdir(t) {
+  const outdir = fs.mkdtempSync(path.join(os.tmpdir(), "lg-download-"));
+  t.after(() => fs.rmSync(outdir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(outdir, "ava"));
+  return outdir;
+}
+
+test("a file owned by another ledger entry is not adopted", async (t) => {
+  const outdir = tempOutdir(t);
+  const ledger = loadLedger(path.join(outdir, "ava"));
+  fs.writeFileSync(path.join(outdir, "ava", "photo.jpg"), "old");
+  ledger.media["id:old"] = { path: "photo.jpg", bytes: 3, sha256: "x" };
+
+  const summary = await withServer("new photo", async (base) => {
+    const downloads = startDownloads({ outdir, ledger, stamp: false });
+    downloads.add([{ key: "id:new", url: `${base}/photo.jpg`, relPath: "ava/photo.jpg", fileName: "photo.jpg" }]);
+    return downloads.finish();
+  });
+
+  assert.equal(summary.skipped.length, 0);
+  assert.equal(summary.downloaded.length, 1);
+  assert.equal(fs.readFileSync(path.join(outdir, "ava", "photo.jpg"), "utf8"), "old");
+  assert.equal(fs.readFileSync(path.join(outdir, "ava", "photo.1.jpg"), "utf8"), "new photo");
+  assert.equal(ledger.media["id:new"].path, "photo.1.jpg");
+});
+
+test("a file no ledger entry owns is adopted", async (t) => {
+  const outdir = tempOutdir(t);
+  const ledger = loadLedger(path.join(outdir, "ava"));
+  fs.writeFileSync(path.join(outdir, "ava", "photo.jpg"), "earlier");
+
+  const downloads = startDownloads({ outdir, ledger, stamp: false });
+  downloads.add([{ key: "id:new", url: "http://127.0.0.1:9/photo.jpg", relPath: "ava/photo.jpg", fileName: "photo.jpg" }]);
+  const summary = await downloads.finish();
+
+  assert.deepEqual(summary.skipped.map(s => s.reason), ["on-disk"]);
+  assert.equal(ledger.media["id:new"].path, "photo.jpg");
+});
+
+test("collision suffixes follow the paths the ledger holds", () => {
+  const outdir = "/out";
+  const ledger = { dir: "/out/ava", media: { "id:b": { path: "photo.1.jpg" }, "id:a": { path: "photo.jpg" } } };
+  const note = (id, mediaId) => ({ id, createAtUtc: "2025-03-09T10:00:00Z", media: [{ id: mediaId, public_url: `https://cdn.example/${mediaId}/photo.jpg` }] });
+  const collect = (items) => createMediaJobCollector({ timeZone: "UTC", child: "ava", ledger, outdir }).add(items);
+
+  // The item that had ".1" keeps it even when the first one is not in this run.
+  assert.deepEqual(collect([note("n2", "b")]).map(j => j.relPath), ["ava/photo.1.jpg"]);
+  // New media takes the next free suffix instead of an older item's.
+  assert.deepEqual(collect([note("n3", "c"), note("n2", "b")]).map(j => j.relPath), ["ava/photo.2.jpg", "ava/photo.1.jpg"]);
+});
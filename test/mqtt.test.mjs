@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { connectMqtt, createMqttPublisher } from "../lib/mqtt.mjs";
+
+// Accepts the MQTT CONNECT, answers CONNACK and then drops the connection.
+async function startDroppingBroker() {
+  const server = net.createServer(socket => {
+    socket.once("data", () => {
+      socket.write(Buffer.from([0x20, 0x02, 0x00, 0x00]));
+      setTimeout(() => socket.destroy(), 50);
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return server;
+}
+
+test("publishChild settles when the broker drops the connection after CONNACK", { timeout: 10000 }, async () => {
+  const server = await startDroppingBroker();
+  try {
+    const client = await connectMqtt(`mqtt://127.0.0.1:${server.address().port}`);
+    await new Promise(resolve => client.once("close", resolve));
+    const errors = [];
+    const mqtt = createMqttPublisher(client, { discovery: true, publishTimeoutMs: 500, onError: (e) => errors.push(e) });
+    await mqtt.publishChild({ slug: "ava", childName: "Ava", enrollmentId: "e1", state: { status: "ok" }, notes: [{ noteId: "n1" }] });
+    assert.ok(errors.length > 0);
+    assert.ok(errors.some(e => e.topic === "learning-genie/ava/state"));
+    await mqtt.close();
+  } finally {
+    server.close();
+  }
+});
+
+test("a publish the broker never acknowledges times out", { timeout: 10000 }, async () => {
+  const client = { connected: true, publishAsync: () => new Promise(() => {}), endAsync: async () => {} };
+  const errors = [];
+  const mqtt = createMqttPublisher(client, { publishTimeoutMs: 100, onError: (e) => errors.push(e) });
+  await mqtt.publishChild({ slug: "ava", childName: "Ava", state: { status: "ok" } });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].error.message, /no acknowledgement/);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+const CLI = fileURLToPath(new URL("../lg.mjs", import.meta.url));
+
+// A cassette with the enrollments but no Notes responses: every child fails while fetching.
+function writeCassette(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "session.json"), JSON.stringify({ version: 1, headers: { "x-uid": "REDACTED-UID" }, timeZone: "UTC" }));
+  fs.writeFileSync(path.join(dir, "0001-GET-Enrollments.json"), JSON.stringify({
+    version: 1,
+    method: "GET",
+    status: 200,
+    statusText: "OK",
+    contentType: "application/json",
+    bodyFormat: "json",
+    url: "https://api2.learning-genie.com/api/v1/Enrollments?parent_id=REDACTED-UID",
+    body: [{ id: "E1", first_name: "Ann" }]
+  }));
+}
+
+function runCli(args, cwd) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [CLI, ...args], { cwd, stdio: "ignore" });
+    child.on("exit", code => resolve(code));
+  });
+}
+
+test("a child that fails while fetching still sends its webhook", { timeout: 30000 }, async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lg-sync-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  writeCassette(path.join(dir, "cassette"));
+
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      received.push(JSON.parse(body));
+      res.end("ok");
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  const code = await runCli([
+    "sync", "--replay", "cassette", "--outdir", "out", "--state", "state.json", "--keep-going", "--log-level", "error",
+    "--notify", `http://127.0.0.1:${server.address().port}/hook`
+  ], dir);
+
+  assert.equal(code, 5);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].child, "Ann");
+  assert.equal(received[0].enrollmentId, "E1");
+  assert.equal(received[0].status, "error");
+  assert.match(received[0].errors[0], /No recorded response/);
+});
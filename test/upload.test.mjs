@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { uploadChildMedia } from "../lib/upload.mjs";
+import { loadLedger } from "../lib/ledger.mjs";
+import { NOTES_FILE } from "../lib/records.mjs";
+
+function fakeLibrary() {
+  const uploads = [];
+  return {
+    id: "immich:test",
+    name: "Immich",
+    uploads,
+    albums: [],
+    async upload(item) {
+      uploads.push(item);
+      return { assetId: `asset-${uploads.length}`, duplicate: false };
+    },
+    async addToAlbum(name, ids) {
+      this.albums.push([name, ids]);
+    }
+  };
+}
+
+test("ledger media this run did not place is uploaded too", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lg-upload-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const childDir = path.join(dir, "ava");
+  fs.mkdirSync(childDir);
+  fs.writeFileSync(path.join(childDir, "old.jpg"), "old");
+  fs.writeFileSync(path.join(childDir, "done.jpg"), "done");
+  fs.writeFileSync(path.join(childDir, NOTES_FILE), JSON.stringify({
+    noteId: "n1",
+    timeZone: "UTC",
+    raw: { id: "n1", payload: "Painting day!", create_at_utc: "2025-09-20 10:00:00.000" }
+  }) + "\n");
+  const ledger = loadLedger(childDir);
+  ledger.media = {
+    "id:old": { noteId: "n1", path: "old.jpg" },
+    "id:done": { noteId: "n1", path: "done.jpg", uploads: { "immich:test": "asset-0" } },
+    "id:pruned": { noteId: "n1", path: "pruned.jpg" }
+  };
+
+  const library = fakeLibrary();
+  const summary = await uploadChildMedia(library, { placements: [], ledger, album: "Ava", timeZone: "UTC" });
+
+  assert.equal(summary.uploaded.length, 1);
+  assert.equal(library.uploads.length, 1);
+  assert.equal(library.uploads[0].filePath, path.join(childDir, "old.jpg"));
+  assert.equal(library.uploads[0].description, "Painting day!");
+  assert.equal(library.uploads[0].date.toISOString(), "2025-09-20T10:00:00.000Z");
+  assert.deepEqual(library.albums, [["Ava", ["asset-1"]]]);
+  assert.equal(ledger.media["id:old"].uploads["immich:test"], "asset-1");
+});